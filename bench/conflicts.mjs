@@ -0,0 +1,62 @@
+/**
+ * Benchmark: conflict detection with the spatial grid against testing every pair.
+ *
+ * Run with: node bench/conflicts.mjs
+ *
+ * Builds busy-TMA traffic from a fixed seed (random positions within 120 km of
+ * the radar head, 180-480 kts, 2,000-24,000 ft, a few fast movers), checks that
+ * both versions return exactly the same conflicts, and prints the time per call.
+ */
+import { detectConflicts, detectConflictsBruteForce } from '../js/core/physics.js';
+import { Random } from '../js/core/random.js';
+
+const COUNTS = [50, 200, 500];
+const SEED = 20240101;
+const MIN_RUN_MS = 500; // Each measurement repeats calls for at least this long
+
+function traffic(count, rng) {
+  const list = [];
+  for (let id = 1; id <= count; id++) {
+    const fast = rng.next() < 0.02;
+    list.push({
+      id,
+      posKm: { x: rng.range(-120, 120), y: rng.range(-120, 120) },
+      heading: rng.range(0, 360),
+      speedKts: fast ? rng.range(1500, 4000) : rng.range(180, 480),
+      altitudeFt: Math.round(rng.range(2000, 24000) / 100) * 100,
+    });
+  }
+  return list;
+}
+
+function timePerCall(fn) {
+  let calls = 0;
+  const start = performance.now();
+  let elapsed = 0;
+  while (elapsed < MIN_RUN_MS) {
+    fn();
+    calls++;
+    elapsed = performance.now() - start;
+  }
+  return elapsed / calls;
+}
+
+const key = (conflicts) => conflicts.map(c => `${c.a.id}/${c.b.id}/${c.ttc}/${c.distAtCPA}`).join(';');
+
+const rng = new Random(SEED);
+console.log('aircraft  conflicts  brute ms/call  grid ms/call  speedup  identical');
+for (const count of COUNTS) {
+  const list = traffic(count, rng);
+  const brute = detectConflictsBruteForce(list);
+  const grid = detectConflicts(list);
+  const bruteMs = timePerCall(() => detectConflictsBruteForce(list));
+  const gridMs = timePerCall(() => detectConflicts(list));
+  console.log([
+    String(count).padStart(8),
+    String(brute.length).padStart(10),
+    bruteMs.toFixed(3).padStart(14),
+    gridMs.toFixed(3).padStart(13),
+    `${(bruteMs / gridMs).toFixed(1)}x`.padStart(8),
+    String(key(brute) === key(grid)).padStart(10),
+  ].join(' '));
+}
@@ -9,6 +9,9 @@ import { Diorama } from './ui/diorama.js';
 import { init3DScenes } from './ui/diorama-3d.js';
 import mermaid from 'https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.esm.min.mjs';
 import { ThreeDViewer } from './ui/three-viewer.js';
+import { Airport, fetchAirport } from './core/airport.js';
+import { GeoProjection } from './core/geo.js';
+import { RADAR_SITE } from './config.js';
 
 // Simple SPA router
 document.addEventListener('DOMContentLoaded', () => {
@@ -38,11 +41,10 @@ document.addEventListener('DOMContentLoaded', () => {
           } else if (viewId === 'software-plan-view') {
             mermaid.run({ nodes: document.querySelectorAll('#software-plan-view .mermaid') });
           } else if (viewId === 'asr-view') { // This was 'simulator-view'
-            // Dynamically import the main simulator script.
-            // This ensures the radarCanvas and other elements are in the DOM
-            // before the Simulation class tries to access them.
-            // The main.js script will then self-initialize the Simulation.
-            await import('./main.js');
+            // Dynamically import the main simulator script, then attach the
+            // display and UI now that the radarCanvas and other elements are in the DOM.
+            const { initializeAsrView } = await import('./main.js');
+            initializeAsrView();
           } else if (viewId === 'par-view') { // PAR view logic moved to nav handler
             // The script will be imported and initialized after the view is made active
             // to ensure correct canvas dimensions.
@@ -59,7 +61,16 @@ document.addEventListener('DOMContentLoaded', () => {
     const canvas = document.getElementById('diorama-canvas');
     const slider = document.getElementById('diorama-slider');
     const scenarioRadios = document.querySelectorAll('input[name="scenario"]');
-    new Diorama(canvas, slider, scenarioRadios);
+    const diorama = new Diorama(canvas, slider, scenarioRadios);
+    // Label the runway from the airport data
+    fetchAirport('data/airport.json')
+      .then(data => {
+        const airport = new Airport();
+        airport.load(data, new GeoProjection(RADAR_SITE));
+        const reciprocal = airport.reciprocal(airport.runwayInUse);
+        diorama.setRunways(airport.runwayInUse, reciprocal ? reciprocal.id : '');
+      })
+      .catch(error => console.error('Failed to load airport data:', error));
   };
 
   const setupRoomDesign3DView = () => {
@@ -19,34 +19,93 @@ export const THEME_COLORS = {
     grid: '#0a3',
     runway: '#444',
     leaderLine: '#666',
+    fix: 'rgba(160, 160, 200, 0.8)',
 };
 
+// Built-in performance profiles; real types come from data/aircraft-types.json (see aircrafttypes.js)
 export const AIRCRAFT_PROFILES = {
     generic: {
-        maxSpeed: 600,
-        accel: 50,
+        name: 'Generic',
+        maxSpeed: 600, // kts IAS
+        maxMach: 0.85, // Above the crossover altitude the Mach limit caps the speed instead
+        accel: 50, // kts/s at sea level, less in thin air
         decel: 50,
-        maxClimb: 4000, // fpm
-        turnRateDegPerSec: 6,
+        maxClimb: 4000, // fpm at sea level
+        ceilingFt: 41000, // Climb rate falls to nothing here
+        turnRateDegPerSec: 3, // Turn rate limit: standard rate
+        maxBankDeg: 25, // Slower than standard rate, the bank limit sets the turn rate instead
+        rollRateDegPerSec: 5,
+        approachSpeed: 140, // kts IAS on the glidepath
     },
     hypersonic: {
+        name: 'Hypersonic (VGHS)',
         maxSpeed: 2000,
+        maxMach: 8,
         accel: 2000,
         decel: 2000,
         maxClimb: 15000, // fpm
-        turnRateDegPerSec: 1,
+        ceilingFt: 100000,
+        turnRateDegPerSec: 3,
+        maxBankDeg: 60, // Still a wide, slow turn at Mach 6
+        rollRateDegPerSec: 10,
+        approachSpeed: 200,
     },
 };
 
 export const SIM_CONFIG = {
     physicsStep: 1 / 30, // 30 Hz
+    timeScales: [1, 2, 4, 8], // Allowed fast-forward factors
+    maxFrameSec: 0.25, // Longest wall-clock gap simulated in one frame (e.g. after a background tab)
     radarSweepRateDps: 150, // 25 RPM (25 * 360 / 60)
     trailDotDistanceKm: 2,
     maxTrailDots: 10,
 };
 
+// Detection model of the surveillance radar (see radar.js)
+export const RADAR_CONFIG = {
+    antennaHeightM: 25, // Above ground; sets the radar horizon for low targets
+    coneOfSilenceDeg: 40, // No coverage above this elevation angle
+    pdMax: 0.98, // Probability of detection per hit at short range
+    pdFalloffExponent: 4, // Pd = pdMax * (1 - (range / maxRange)^exp)
+    missedHits: true, // Roll for detection on each hit; false = every covered target is seen
+    rangeErrorKm: 0.05, // Standard deviation of the measured range
+    azimuthErrorDeg: 0.1, // Standard deviation of the measured bearing
+};
+
+// Plot-to-track correlation and smoothing (see tracker.js)
+export const TRACKER_CONFIG = {
+    gateKm: 3, // A plot further than this from a track's predicted position is not correlated with it
+    maxSpeedKts: 5000, // Sizes the gate of a track that has only one plot
+    alpha: 0.5, // Position smoothing: 1 = follow the plots, 0 = ignore them
+    beta: 0.3, // Velocity smoothing
+    dropAfterScans: 3, // A track is dropped after this many scans without a plot; it coasts (CST) before that
+};
+
+// Gusts and turbulence (see environment.js)
+export const ENVIRONMENT_CONFIG = {
+    gustIntervalSec: 8, // A new gust strength is drawn this often; the wind eases towards it
+    turbulenceTimeConstantSec: 2, // How long a bump lasts
+    // Standard deviation of the vertical gust and of the airspeed excursion per intensity
+    turbulence: {
+        none: { verticalFps: 0, airspeedKts: 0 },
+        light: { verticalFps: 3, airspeedKts: 2 },
+        moderate: { verticalFps: 10, airspeedKts: 5 },
+        severe: { verticalFps: 20, airspeedKts: 10 },
+    },
+};
+
+// Radar head the local km grid is anchored to (Hazrat Shahjalal Intl, Dhaka).
+export const RADAR_SITE = {
+    name: 'VGHS',
+    lat: 23.8433,
+    lon: 90.3978,
+    magVarDeg: 0, // Magnetic variation, east positive; negligible at Dhaka
+};
+
 export const DISPLAY_CONFIG = {
     headingVectorLength: 15,
     aircraftBlipSize: 4,
     selectedBlipSize: 6,
+    fixSymbolSize: 5,
+    flashPeriodMs: 500, // Ident and emergency code data blocks blink at this rate
 };
\ No newline at end of file
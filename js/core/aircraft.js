@@ -1,5 +1,8 @@
 import * as Physics from './physics.js';
 import { AIRCRAFT_PROFILES, SIM_CONFIG } from '../config.js';
+import { Holding } from './holding.js';
+import { IlsApproach } from './approach.js';
+import { Transponder } from './transponder.js';
 
 /**
  * Module: aircraft.js
@@ -10,26 +13,90 @@ import { AIRCRAFT_PROFILES, SIM_CONFIG } from '../config.js';
  * object on the radar screen.
  */
 
+const WAYPOINT_ARRIVAL_KM = 1; // Distance at which a fix counts as overflown
+const HOLD_LEG_HIGH_ALT_FT = 14000; // Above this the default outbound leg is 1.5 minutes
+const RA_VERTICAL_SPEED_FPM = 2500; // Vertical speed flown to follow a TCAS resolution advisory
+const MACH_ABOVE_FT = 29000; // Without an assigned speed, the present one is held as Mach above this, as IAS below
+const EXPEDITE_RATE_FACTOR = 1.5; // An expedited climb or descent is flown this much faster than the normal rate
+
+// Fallback id source for aircraft created without one. The Simulation always
+// passes its own ids, so this never affects the traffic of a seeded run.
+let fallbackId = 0;
+
 /**
  * Generic Aircraft class
  */
 export class Aircraft {
   constructor(opts){
-    this.id = opts.id || Date.now()+Math.random();
-    this.callsign = opts.callsign || ('AC'+Math.floor(Math.random()*900+100));
+    this.id = opts.id ?? `local-${++fallbackId}`;
+    this.callsign = opts.callsign || ('AC'+String(this.id).replace(/\D/g, '').padStart(3, '0'));
     this.type = opts.type || 'generic';
     this.posKm = opts.posKm || { x: opts.x||0, y: opts.y||0 };
     this.heading = opts.heading || 0; // degrees
     this.speedKts = opts.speedKts || 250;
     this.altitudeFt = opts.altitudeFt || 10000;
     this.vsFpm = 0;
+    this.bankDeg = 0; // Positive to the right, see Physics.computeTurn
+    // speedKts is the true airspeed; these follow from it and the weather on every update
+    this.iasKts = null;
+    this.mach = null;
+    this.groundSpeedKts = this.speedKts;
+    this.trackDeg = this.heading;
+    this.wind = { dirDeg: 0, speedKts: 0 }; // Wind at the aircraft's altitude
+    this.turbulence = { verticalFps: 0, airspeedKts: 0 }; // Present bump, see Environment.turbulenceStep
     this.trail = [];
     this.lastTrailDropPos = { ...this.posKm }; // Position where the last trail dot was dropped
     this.TRAIL_DOT_DISTANCE_KM = SIM_CONFIG.trailDotDistanceKm;
     this.state = 'cruising';
-    this.target = { heading: this.heading, speed: this.speedKts, altitude: this.altitudeFt, waypoint: null };
-    // performance profile
-    this.profile = AIRCRAFT_PROFILES.generic;
+    this.emergency = null; // Nature of a declared emergency, e.g. 'engine failure'
+    // Assigned speed: IAS in knots, or a Mach number (the other one is null). Both null until the
+    // first update holds the present speed.
+    this.target = { heading: this.heading, speed: null, mach: null, altitude: this.altitudeFt, waypoint: null, turnDirection: null, expedite: false };
+    this.holding = null; // Active Holding pattern, see holding.js
+    this.approach = null; // Active IlsApproach, see approach.js
+    this.landed = false; // Set on touchdown; the Simulation then removes the aircraft
+    this.transponder = new Transponder({ code: opts.squawk, mode: opts.transponderMode });
+    this.tcas = { advisory: null, sense: null, intruder: null }; // Set by Tcas, see tcas.js
+    // performance profile, from the type database (see aircrafttypes.js) or a built-in one
+    this.profile = opts.profile || AIRCRAFT_PROFILES[this.type] || AIRCRAFT_PROFILES.generic;
+    // route following
+    this.flightPlan = opts.flightPlan || null;
+    this.ownNav = false; // True while the aircraft flies its flight plan on its own
+    if (this.flightPlan && opts.ownNav !== false) this.resumeOwnNavigation();
+  }
+
+  /**
+   * Returns a vectored aircraft to its route, direct to the active fix of its flight plan.
+   * @returns {boolean} - False if there is no route left to resume.
+   */
+  resumeOwnNavigation(){
+    const fix = this.flightPlan && this.flightPlan.activeFix;
+    if (!fix) return false;
+    this.ownNav = true;
+    this.holding = null;
+    if (this.approach && this.approach.phase !== 'armed') this.approach = null;
+    this.state = 'own_nav';
+    this._flyTowards(fix);
+    return true;
+  }
+
+  /**
+   * Makes a route point the active waypoint and applies its restrictions.
+   * @param {Object} fix - Route point ({ name, posKm, altitudeFt?, speedKts? }).
+   */
+  _flyTowards(fix){
+    this.target.waypoint = { name: fix.name, posKm: fix.posKm };
+    if (fix.altitudeFt !== undefined) this.target.altitude = fix.altitudeFt;
+    if (fix.speedKts !== undefined) { this.target.speed = fix.speedKts; this.target.mach = null; }
+  }
+
+  /**
+   * Makes the present airspeed the assigned one: as Mach at high level, as IAS below.
+   * @param {Environment} env - Weather, for the conversion.
+   */
+  _holdPresentSpeed(env){
+    if (this.altitudeFt > MACH_ABOVE_FT) this.target.mach = env.machFromTas(this.speedKts, this.altitudeFt);
+    else this.target.speed = env.iasFromTas(this.speedKts, this.altitudeFt);
   }
 
   /**
@@ -38,18 +105,50 @@ export class Aircraft {
    * @param {Object} ctx - Context object containing environment data.
    */
   update(dt, ctx){
+    this.transponder.update(dt);
+    // lateral guidance: holding pattern or towards a fix, until the approach captures
+    if (this.approach && this.approach.phase !== 'armed') this.approach.update(this, dt, ctx);
+    else {
+      if (this.holding) this.holding.update(this, dt, ctx);
+      else if (this.target.waypoint) this._guideToWaypoint(ctx);
+      if (this.approach) this.approach.update(this, dt, ctx);
+    }
+    if (this.landed) return;
     // compute heading change
-    const h = Physics.computeTurn(this, this.target.heading, dt, this.profile);
+    const { heading: h, bankDeg } = Physics.computeTurn(this, this.target.heading, dt, this.profile, this.target.turnDirection);
     this.heading = h;
-    // speed
-    this.speedKts = Physics.computeSpeedChange(this, this.target.speed, dt, this.profile);
-    // climb
+    this.bankDeg = bankDeg;
+    // a commanded turn direction only applies until the heading is reached
+    if (!this.holding && h === (this.target.heading + 360) % 360) this.target.turnDirection = null;
+    // speed: the assigned IAS or Mach as a true airspeed at this altitude, never beyond the Mach limit
+    const env = ctx.env;
+    if (this.target.speed === null && this.target.mach === null) this._holdPresentSpeed(env);
+    let targetTas = this.target.mach !== null ? env.tasFromMach(this.target.mach, this.altitudeFt) : env.tasFromIas(this.target.speed, this.altitudeFt);
+    if (this.profile.maxMach) targetTas = Math.min(targetTas, env.tasFromMach(this.profile.maxMach, this.altitudeFt));
+    this.speedKts = Physics.computeSpeedChange(this, targetTas, dt, this.profile, env.densityRatioAt(this.altitudeFt));
+    // climb; a resolution advisory overrides, without touching the cleared altitude
     const oldAltitude = this.altitudeFt;
-    this.altitudeFt = Physics.computeAltitudeChange(this, this.target.altitude, dt, this.profile);
+    if (this.tcas.advisory === 'RA') {
+      const away = this.tcas.sense === 'climb' ? 1 : -1;
+      this.altitudeFt = Physics.computeAltitudeChange(this, this.altitudeFt + away * RA_VERTICAL_SPEED_FPM, dt, this.profile, RA_VERTICAL_SPEED_FPM);
+    } else {
+      this.altitudeFt = Physics.computeAltitudeChange(this, this.target.altitude, dt, this.profile, Infinity, this.target.expedite ? EXPEDITE_RATE_FACTOR : 1);
+      if (this.altitudeFt === this.target.altitude) this.target.expedite = false;
+    }
+    // turbulence bumps the aircraft off its altitude and airspeed; the autopilot flies back
+    const oldBump = this.turbulence.airspeedKts;
+    env.turbulenceStep(this.turbulence, dt);
+    this.altitudeFt += this.turbulence.verticalFps * dt;
+    this.speedKts = Math.max(0, this.speedKts + this.turbulence.airspeedKts - oldBump);
     this.vsFpm = (this.altitudeFt - oldAltitude) / (dt / 60); // Calculate vertical speed in ft/min
-    // integrate position with wind
-    const newPos = Physics.integratePosition(this, dt, ctx.env);
-    this.posKm = newPos;
+    // integrate position with the wind at this altitude
+    this.wind = env.windAt(this.altitudeFt);
+    const ground = Physics.groundVelocity(this.heading, this.speedKts, this.wind);
+    this.groundSpeedKts = ground.speedKts;
+    this.trackDeg = ground.trackDeg;
+    this.iasKts = env.iasFromTas(this.speedKts, this.altitudeFt);
+    this.mach = env.machFromTas(this.speedKts, this.altitudeFt);
+    this.posKm = Physics.integratePosition(this, dt, this.wind);
 
     // Update trail based on distance traveled
     if (Physics.distanceKm(this.posKm, this.lastTrailDropPos) > this.TRAIL_DOT_DISTANCE_KM) {
@@ -59,6 +158,43 @@ export class Aircraft {
     }
   }
 
+  /**
+   * Steers the target heading towards the active waypoint and reports arrival.
+   * The fix counts as reached when the aircraft is over it, or when it moves from
+   * ahead of the wing to behind it within a turn diameter (it passed too close
+   * to turn onto it).
+   * @param {Object} ctx - Context object (uses ctx.report).
+   */
+  _guideToWaypoint(ctx){
+    const wp = this.target.waypoint;
+    const dist = Physics.distanceKm(this.posKm, wp.posKm);
+    const brg = Physics.bearingTo(this.posKm, wp.posKm);
+    const offNose = Math.abs(((brg - this.heading + 540) % 360) - 180);
+    const turnDiameter = 2 * Physics.turnRadiusKm(this.speedKts, this.profile);
+    const passed = wp.lastOffNose !== undefined && wp.lastOffNose < 90 && offNose >= 90 && dist < turnDiameter;
+    wp.lastOffNose = offNose;
+    if (dist < WAYPOINT_ARRIVAL_KM || passed) {
+      this.target.waypoint = null;
+      this.target.heading = this.heading; // continue on present heading
+      if (this.ownNav) {
+        const next = this.flightPlan.sequence();
+        if (next) {
+          this._flyTowards(next);
+          ctx.report && ctx.report('NAV', `${this.callsign} over ${wp.name}, next ${next.name}`);
+          return;
+        }
+        this.ownNav = false;
+        ctx.report && ctx.report('NAV', `${this.callsign} over ${wp.name}, route complete`);
+      } else {
+        ctx.report && ctx.report('NAV', `${this.callsign} over ${wp.name}`);
+      }
+      this.state = 'cruising';
+      return;
+    }
+    // crab into the wind to track straight to the fix
+    this.target.heading = (brg + Physics.windCorrectionDeg(brg, this.speedKts, this.wind) + 360) % 360;
+  }
+
   /**
    * Applies a command to the aircraft, modifying its target parameters.
    * @param {Object} command - Command object.
@@ -67,11 +203,54 @@ export class Aircraft {
   applyCommand(command){
     // normalized command object: {type, target, params}
     switch(command.type){
-      case 'set_heading': this.target.heading = command.params.heading; this.state='following_command'; break;
-      case 'set_altitude': this.target.altitude = command.params.altitude; this.state='altitude_change'; break;
-      case 'set_speed': this.target.speed = command.params.speed; break;
+      case 'set_heading':
+        this.target.heading = command.params.heading; this.target.turnDirection = command.params.direction || null;
+        this.target.waypoint = null; this.holding = null; this.approach = null; this.ownNav = false; this.state='following_command';
+        break;
+      case 'direct_to':
+        this.holding = null; this.approach = null; this.target.turnDirection = null;
+        // Direct to a fix on the route continues the route from there
+        if (this.flightPlan && this.flightPlan.skipTo(command.params.waypoint.name)) return { accepted: this.resumeOwnNavigation() };
+        this.target.waypoint = command.params.waypoint; this.ownNav = false; this.state = 'direct';
+        break;
+      case 'resume_own_nav': return { accepted: this.resumeOwnNavigation() };
+      case 'hold': {
+        const { fix, inboundCourse, turn, legTimeSec } = command.params;
+        this.holding = new Holding({
+          fix,
+          // Without a published course, hold on the inbound track the aircraft is flying
+          inboundCourse: inboundCourse ?? Physics.bearingTo(this.posKm, fix.posKm),
+          turn: turn || 'R',
+          legTimeSec: legTimeSec || (this.altitudeFt > HOLD_LEG_HIGH_ALT_FT ? 90 : 60),
+        });
+        this.target.waypoint = null; this.approach = null; this.ownNav = false; this.state = 'holding';
+        break;
+      }
+      case 'clear_approach':
+        this.approach = new IlsApproach(command.params.runway, { missedApproachAltitudeFt: command.params.missedApproachAltitudeFt });
+        if (this.state !== 'holding' && !this.ownNav) this.state = 'approach_cleared';
+        break;
+      case 'set_altitude':
+      case 'climb_to':
+      case 'descend_to':
+        // Leaving the glideslope cancels the approach
+        if (this.approach && this.approach.phase === 'glideslope') this.approach = null;
+        this.target.altitude = command.params.altitude; this.target.expedite = false; this.state='altitude_change';
+        break;
+      case 'expedite': this.target.expedite = true; break;
+      case 'set_speed': this.target.speed = command.params.speed; this.target.mach = null; break;
+      case 'set_mach': this.target.mach = command.params.mach; this.target.speed = null; break;
       case 'maintain': this.target.altitude = command.params.altitude; break;
-      // squawk etc can be stored
+      case 'declare_emergency':
+        this.emergency = command.params.kind || 'MAYDAY'; this.state = 'emergency';
+        // Squawk 7700 unless already on another special purpose code
+        if (!this.transponder.emergencyCode) this.transponder.squawk('7700');
+        break;
+      case 'squawk':
+        if (command.params.code !== undefined) this.transponder.squawk(command.params.code);
+        if (command.params.mode !== undefined) this.transponder.setMode(command.params.mode);
+        break;
+      case 'ident': this.transponder.pressIdent(); break;
       default: break;
     }
     return { accepted:true };
@@ -83,27 +262,46 @@ export class Aircraft {
    */
   toDisplayData(){
     return {
-      id:this.id, callsign:this.callsign, type:this.type,
-      posKm:this.posKm, heading:this.heading, speedKts:this.speedKts, altitudeFt:this.altitudeFt,
-      trail: this.trail
+      id:this.id, posKm:this.posKm, heading:this.heading, bankDeg:this.bankDeg, speedKts:this.speedKts, altitudeFt:this.altitudeFt,
+      iasKts: this.iasKts, mach: this.mach, groundSpeedKts: this.groundSpeedKts, trackDeg: this.trackDeg, wind: { ...this.wind },
+      trail: this.trail,
+      tcas: this.tcas.advisory ? { ...this.tcas } : null,
+      transponder: { code: this.transponder.code, mode: this.transponder.mode, ident: this.transponder.ident, emergency: this.transponder.emergencyCode },
+      ...this.toFlightData(),
     };
   }
 
   /**
-   * Resolves conflicts with other aircraft.
-   * @param {Object} conflict - Conflict object.
+   * What the controller knows of the flight apart from the radar: the filed
+   * flight plan and type, the clearances issued and what the pilot reported.
+   * @returns {Object} - Flight data.
    */
-  autoResolveConflict(conflict){
-    // simple evasive: small heading change away from other
-    const other = conflict.a === this ? conflict.b : conflict.a;
-    const brg = Physics.bearingTo(this.posKm, other.posKm);
-    // With navigational bearings (0=N, 90=E), a 90-degree right turn is simply adding 90.
-    // The original calculation was based on a different angular system.
-    // This makes a standard right-hand turn for evasion.
-    this.target.heading = (brg + 90) % 360; 
-    this.target.altitude = this.altitudeFt + 2000;
-    this.state = 'evasive';
+  toFlightData(){
+    return {
+      callsign:this.callsign, type:this.type, typeName: this.profile.name, wake: this.profile.wake ?? null,
+      emergency: this.emergency,
+      waypoint: this.target.waypoint ? this.target.waypoint.name : null,
+      approach: this.approach ? { runway: this.approach.runway.id, phase: this.approach.phase } : null,
+      hold: this.holding ? {
+        fix: this.holding.fix.name,
+        inboundCourse: this.holding.inboundCourse,
+        turn: this.holding.turn,
+        phase: this.holding.phase,
+        entry: this.holding.entry,
+        outline: this.holding.outline(this.speedKts, this.profile),
+      } : null,
+      flightPlan: this.flightPlan ? {
+        departure: this.flightPlan.departure,
+        destination: this.flightPlan.destination,
+        cruiseAltitudeFt: this.flightPlan.cruiseAltitudeFt,
+        leg: this.ownNav ? this.flightPlan.activeLeg() : null,
+        nextFix: this.flightPlan.nextFix ? this.flightPlan.nextFix.name : null,
+        ownNav: this.ownNav,
+        complete: this.flightPlan.isComplete,
+      } : null
+    };
   }
+
 }
 
 /**
@@ -113,9 +311,7 @@ export class HypersonicAircraft extends Aircraft {
   constructor(opts){
     super(opts);
     this.type = 'hypersonic';
-    this.profile = AIRCRAFT_PROFILES.hypersonic;
-    // ensure target speed exists
-    this.target.speed = this.speedKts;
+    this.profile = opts.profile || AIRCRAFT_PROFILES.hypersonic;
   }
 
   /**
@@ -127,10 +323,12 @@ export class HypersonicAircraft extends Aircraft {
     // VGHS have limits - some commands take time or are refused
     if (command.type === 'set_heading'){
       // limit abrupt heading changes at high speed
-      const diff = Math.abs(((command.params.heading - this.heading + 540)%360)-180);
-      if (this.speedKts > 660 && diff > 30) {
+      const diff = Physics.turnAngleDeg(this.heading, command.params.heading, command.params.direction);
+      if (this.mach > 1 && Math.abs(diff) > 30) {
         // large heading change at supersonic speed - queue instead of instant
-        this.target.heading = (this.heading + (command.params.heading>this.heading?30:-30))%360;
+        this.target.heading = (this.heading + Math.sign(diff) * 30 + 360) % 360;
+        this.target.turnDirection = null;
+        this.target.waypoint = null; this.holding = null; this.approach = null; this.ownNav = false;
         this.state = 'turning_limited';
         return { accepted:true, note:'Partial turn due to VGHS limits' };
       }
@@ -139,13 +337,12 @@ export class HypersonicAircraft extends Aircraft {
   }
 
   /**
-   * Prepares VGHS aircraft data for display, including Mach number.
-   * @returns {Object} - Display data.
+   * Prepares VGHS aircraft flight data.
+   * @returns {Object} - Flight data.
    */
-  toDisplayData(){
-    const base = super.toDisplayData();
+  toFlightData(){
+    const base = super.toFlightData();
     base.isHypersonic = true;
-    base.mach = Math.round((this.speedKts / 661.5) * 100)/100;
     return base;
   }
 }
\ No newline at end of file
@@ -0,0 +1,126 @@
+/**
+ * Module: aircrafttypes.js
+ *
+ * Aircraft type database: the performance envelope of every type traffic can
+ * be spawned as. The built-in generic and hypersonic profiles (config.js) are
+ * always present; real types are loaded from a data file
+ * (data/aircraft-types.json). A loaded type is a performance profile in the
+ * same shape the physics reads, plus a name, a wake turbulence category, a
+ * minimum speed and climb/descent rates by altitude band (see
+ * Physics.climbRateFpm).
+ */
+import { AIRCRAFT_PROFILES } from '../config.js';
+
+export const WAKE_CATEGORIES = ['L', 'M', 'H', 'J']; // ICAO: light, medium, heavy, super
+
+/**
+ * Climb and descent rates below an altitude.
+ * @typedef {Object} VerticalRateBand
+ * @property {number} upToFt - Top of the band; the band starts at the top of the one before.
+ * @property {number} climbFpm
+ * @property {number} descentFpm
+ */
+
+/**
+ * Performance of one aircraft type.
+ * @typedef {Object} AircraftType
+ * @property {string} id - Type designator, e.g. 'B738'.
+ * @property {string} name - e.g. 'Boeing 737-800'.
+ * @property {string} [wake] - One of WAKE_CATEGORIES; the built-in profiles have none.
+ * @property {number} [minSpeed] - Slowest IAS the type can be assigned, in knots.
+ * @property {number} maxSpeed - Fastest IAS, in knots.
+ * @property {number} [maxMach] - Mach limit; none for types without one.
+ * @property {number} accel - kts/s at sea level.
+ * @property {number} decel - kts/s.
+ * @property {number} ceilingFt - Service ceiling; no climb beyond it.
+ * @property {number} approachSpeed - IAS on the glidepath, in knots.
+ * @property {number} turnRateDegPerSec - Turn rate limit; 3 is standard rate.
+ * @property {number} maxBankDeg
+ * @property {number} rollRateDegPerSec - How fast the type rolls into and out of a turn.
+ * @property {Array<VerticalRateBand>} [verticalRates] - Sorted by upToFt; the built-in profiles use maxClimb instead.
+ */
+
+/**
+ * In-memory aircraft type database.
+ * @class
+ */
+export class AircraftTypeDatabase {
+  constructor() {
+    this.types = new Map(); // Key: type id as written, Value: AircraftType
+    for (const [id, profile] of Object.entries(AIRCRAFT_PROFILES)) this.types.set(id, { id, ...profile });
+  }
+
+  /**
+   * Adds the entries of a parsed type file. Entries that cannot be used are
+   * skipped and reported back, so one bad line does not lose the whole file.
+   * @param {{types: Array<Object>}} data - Parsed data/aircraft-types.json.
+   * @returns {Array<{path: string, message: string}>} - Problems found, empty if none.
+   */
+  load(data) {
+    const errors = [];
+    (data?.types || []).forEach((entry, i) => {
+      const path = `$.types[${i}]`;
+      const problem = checkType(entry);
+      if (problem) return errors.push({ path, message: problem });
+      this.types.set(entry.id, {
+        ...entry,
+        verticalRates: entry.verticalRates.map(b => ({ ...b })).sort((a, b) => a.upToFt - b.upToFt),
+      });
+    });
+    return errors;
+  }
+
+  /**
+   * Looks up a type.
+   * @param {string} id - Type designator, as written in the data file.
+   * @returns {AircraftType|undefined}
+   */
+  get(id) {
+    return this.types.get(id);
+  }
+
+  /** @returns {Array<string>} - All type designators, built-in profiles first. */
+  ids() {
+    return [...this.types.keys()];
+  }
+
+  /** @returns {Array<AircraftType>} - All types. */
+  all() {
+    return [...this.types.values()];
+  }
+}
+
+/**
+ * Checks one entry of a type file.
+ * @param {Object} entry
+ * @returns {string|null} - What is wrong with it, or null if it can be used.
+ */
+function checkType(entry) {
+  if (typeof entry?.id !== 'string' || !/^[A-Z0-9][A-Z0-9-]{1,5}$/.test(entry.id)) return 'id must be 2-6 upper-case letters, digits or dashes';
+  if (typeof entry.name !== 'string' || entry.name.trim() === '') return 'missing name';
+  if (!WAKE_CATEGORIES.includes(entry.wake)) return `wake must be one of ${WAKE_CATEGORIES.join(', ')}`;
+  for (const key of ['minSpeed', 'maxSpeed', 'accel', 'decel', 'ceilingFt', 'approachSpeed', 'turnRateDegPerSec', 'maxBankDeg', 'rollRateDegPerSec']) {
+    if (!Number.isFinite(entry[key]) || entry[key] <= 0) return `${key} must be a positive number`;
+  }
+  if (entry.maxMach !== undefined && (!Number.isFinite(entry.maxMach) || entry.maxMach <= 0)) return 'maxMach must be a positive number';
+  if (entry.minSpeed >= entry.maxSpeed) return 'minSpeed must be below maxSpeed';
+  if (entry.approachSpeed < entry.minSpeed || entry.approachSpeed > entry.maxSpeed) return 'approachSpeed must be between minSpeed and maxSpeed';
+  if (!Array.isArray(entry.verticalRates) || entry.verticalRates.length === 0) return 'verticalRates must be a non-empty array';
+  for (const band of entry.verticalRates) {
+    if (!Number.isFinite(band?.upToFt) || band.upToFt <= 0) return 'verticalRates: upToFt must be a positive number';
+    if (!Number.isFinite(band.climbFpm) || band.climbFpm < 0) return 'verticalRates: climbFpm must be zero or more';
+    if (!Number.isFinite(band.descentFpm) || band.descentFpm <= 0) return 'verticalRates: descentFpm must be a positive number';
+  }
+  return null;
+}
+
+/**
+ * Fetches an aircraft type file.
+ * @param {string} url - URL of the type file.
+ * @returns {Promise<Object>} - Parsed JSON.
+ */
+export async function fetchAircraftTypes(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Could not load ${url}`);
+  return response.json();
+}
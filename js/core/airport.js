@@ -0,0 +1,129 @@
+/**
+ * Module: airport.js
+ *
+ * Aerodrome data: runway thresholds, true headings, lengths, elevations and
+ * ILS/PAR parameters. Loaded from a data file (data/airport.json) and resolved
+ * to radar-local km with the simulation's GeoProjection, so the ASR, PAR,
+ * approach guidance and diorama all work from the same runway geometry.
+ */
+
+const DEFAULT_GLIDEPATH_DEG = 3;
+const DEFAULT_TDZ_M = 300;
+const DEFAULT_PAR_RANGE_NM = 10;
+const DEFAULT_MISSED_APPROACH_ALT_FT = 3000;
+
+/**
+ * A runway end, resolved to local km.
+ * @typedef {Object} Runway
+ * @property {string} id - Designator, e.g. '14'.
+ * @property {number} headingDeg - True heading of the landing direction.
+ * @property {{x: number, y: number}} thresholdKm - Landing threshold.
+ * @property {number} lat - Threshold latitude.
+ * @property {number} lon - Threshold longitude.
+ * @property {number} lengthKm - Runway length.
+ * @property {number} elevationFt - Threshold elevation.
+ * @property {number} glidepathDeg - ILS/PAR glidepath angle.
+ * @property {number} tdzKm - Distance from threshold to the touchdown point (glidepath origin).
+ */
+
+/**
+ * Aerodrome and its runways.
+ * @class
+ */
+export class Airport {
+  constructor() {
+    this.icao = '';
+    this.name = '';
+    this.elevationFt = 0;
+    this.runwayInUse = null; // Default runway in use from the data file
+    this.missedApproachAltitudeFt = DEFAULT_MISSED_APPROACH_ALT_FT;
+    this.parRangeNm = DEFAULT_PAR_RANGE_NM;
+    this.runways = []; // Array<Runway>
+  }
+
+  /**
+   * Replaces the aerodrome with the contents of a parsed airport file. Runways
+   * that cannot be used are skipped and reported back.
+   * @param {Object} data - Parsed data/airport.json.
+   * @param {GeoProjection} projection - Projection of the simulation.
+   * @returns {Array<{path: string, message: string}>} - Problems found, empty if none.
+   */
+  load(data, projection) {
+    const errors = [];
+    const num = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+    this.icao = String(data?.icao || '');
+    this.name = String(data?.name || '');
+    this.elevationFt = num(data?.elevationFt, 0);
+    this.missedApproachAltitudeFt = num(data?.missedApproachAltitudeFt, DEFAULT_MISSED_APPROACH_ALT_FT);
+    this.parRangeNm = num(data?.parRangeNm, DEFAULT_PAR_RANGE_NM);
+    this.runways = [];
+
+    (data?.runways || []).forEach((entry, i) => {
+      const path = `$.runways[${i}]`;
+      if (!/^\d{2}[LCR]?$/.test(String(entry?.id))) return errors.push({ path: `${path}.id`, message: 'must be a runway designator like "14" or "32L"' });
+      if (!Number.isFinite(entry.headingDeg) || entry.headingDeg < 0 || entry.headingDeg > 360) return errors.push({ path: `${path}.headingDeg`, message: 'must be a number between 0 and 360' });
+      if (!(entry.lengthM > 0)) return errors.push({ path: `${path}.lengthM`, message: 'must be a positive number' });
+
+      const thr = entry.threshold || {};
+      let thresholdKm, geo;
+      if (Number.isFinite(thr.lat) && Number.isFinite(thr.lon)) {
+        geo = { lat: thr.lat, lon: thr.lon };
+        thresholdKm = projection.toLocal(geo);
+      } else if (Number.isFinite(thr.x) && Number.isFinite(thr.y)) {
+        thresholdKm = { x: thr.x, y: thr.y };
+        geo = projection.toGeo(thresholdKm);
+      } else {
+        return errors.push({ path: `${path}.threshold`, message: 'needs lat/lon or x/y' });
+      }
+
+      this.runways.push({
+        id: String(entry.id),
+        headingDeg: entry.headingDeg % 360,
+        thresholdKm,
+        ...geo,
+        lengthKm: entry.lengthM / 1000,
+        elevationFt: num(entry.elevationFt, this.elevationFt),
+        glidepathDeg: num(entry.glidepathDeg, DEFAULT_GLIDEPATH_DEG),
+        tdzKm: num(entry.tdzM, DEFAULT_TDZ_M) / 1000,
+      });
+    });
+
+    this.runwayInUse = this.getRunway(data?.runwayInUse) ? String(data.runwayInUse) : (this.runways[0]?.id ?? null);
+    if (data?.runwayInUse !== undefined && !this.getRunway(data.runwayInUse)) {
+      errors.push({ path: '$.runwayInUse', message: `unknown runway "${data.runwayInUse}"` });
+    }
+    return errors;
+  }
+
+  /**
+   * Looks up a runway by designator.
+   * @param {string} id - e.g. '14'.
+   * @returns {Runway|undefined}
+   */
+  getRunway(id) {
+    if (id === undefined || id === null) return undefined;
+    return this.runways.find(r => r.id === String(id).toUpperCase());
+  }
+
+  /**
+   * Finds the opposite end of a runway (the one landing the other way).
+   * @param {string} id - e.g. '14'.
+   * @returns {Runway|undefined} - e.g. runway 32.
+   */
+  reciprocal(id) {
+    const rwy = this.getRunway(id);
+    if (!rwy) return undefined;
+    return this.runways.find(r => r !== rwy && Math.abs(((r.headingDeg - rwy.headingDeg + 540) % 360) - 180) > 175);
+  }
+}
+
+/**
+ * Fetches an airport file.
+ * @param {string} url - URL of the airport file.
+ * @returns {Promise<Object>} - Parsed JSON.
+ */
+export async function fetchAirport(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Could not load ${url}`);
+  return response.json();
+}
@@ -0,0 +1,157 @@
+/**
+ * Module: approach.js
+ *
+ * ILS approach guidance. An IlsApproach is attached to an Aircraft by the
+ * ILS / CLR APP command. While armed the aircraft keeps flying its present
+ * clearance; once it is inside the localizer coverage it captures the
+ * localizer and tracks the runway centreline, then captures the glideslope
+ * from below, descends along it and slows to approach speed. At decision
+ * height the approach must be stable, otherwise the aircraft goes around;
+ * a stable aircraft crossing the threshold has landed.
+ */
+import * as Physics from './physics.js';
+
+const FT_PER_KM = 3280.84;
+const DEG = Math.PI / 180;
+
+const LOC_FULL_SCALE_DEG = 2.5; // Localizer capture window and full-scale deflection
+const LOC_RANGE_KM = 46; // Localizer coverage (25 NM)
+const LOC_MAX_INTERCEPT_DEG = 90; // Largest heading difference the localizer is captured at
+const LOC_LOOKAHEAD_KM = 2; // Centreline tracking: steer towards a point this far ahead
+const LOC_MAX_CORRECTION_DEG = 30;
+const GS_CAPTURE_FT = 100; // Glideslope capture window
+const DECISION_HEIGHT_FT = 200; // Above threshold elevation
+const STABLE_CROSS_KM = 0.06; // Largest centreline offset at decision height
+const STABLE_GS_FT = 100; // Largest glidepath deviation at decision height
+const STABLE_SPEED_MARGIN_KTS = 20; // Largest excess over approach speed at decision height
+const DEFAULT_MISSED_APPROACH_ALT_FT = 3000;
+
+/**
+ * Position of a point relative to a runway's ILS.
+ * @param {Runway} runway - Runway from the Airport (see airport.js).
+ * @param {{x: number, y: number}} posKm - Position in local km.
+ * @param {number} altitudeFt - Altitude in feet.
+ * @returns {{alongKm: number, crossKm: number, locDevDeg: number, gsAltFt: number, gsDevFt: number}}
+ *   alongKm: distance before the threshold along the approach course (negative past it);
+ *   crossKm: offset from the centreline, positive right of course;
+ *   locDevDeg: angle off the centreline seen from the localizer at the far end of the runway;
+ *   gsAltFt: glidepath altitude at this distance; gsDevFt: height above the glidepath.
+ */
+export function ilsGeometry(runway, posKm, altitudeFt) {
+  const c = runway.headingDeg * DEG;
+  const dx = posKm.x - runway.thresholdKm.x;
+  const dy = posKm.y - runway.thresholdKm.y;
+  const alongKm = -(dx * Math.sin(c) + dy * Math.cos(c));
+  const crossKm = dx * Math.cos(c) - dy * Math.sin(c);
+  const locDevDeg = Math.atan2(crossKm, alongKm + runway.lengthKm) / DEG;
+  const gsAltFt = runway.elevationFt + (alongKm + runway.tdzKm) * Math.tan(runway.glidepathDeg * DEG) * FT_PER_KM;
+  return { alongKm, crossKm, locDevDeg, gsAltFt, gsDevFt: altitudeFt - gsAltFt };
+}
+
+/**
+ * ILS approach state machine for one aircraft: armed → localizer → glideslope.
+ * @class
+ */
+export class IlsApproach {
+  /**
+   * @param {Runway} runway - Runway from the Airport (see airport.js).
+   * @param {Object} [opts]
+   * @param {number} [opts.missedApproachAltitudeFt] - Altitude to climb to on a go-around.
+   */
+  constructor(runway, opts = {}) {
+    this.runway = runway;
+    this.missedApproachAltitudeFt = opts.missedApproachAltitudeFt ?? DEFAULT_MISSED_APPROACH_ALT_FT;
+    this.phase = 'armed';
+    this.stableChecked = false; // Stabilised approach criteria are checked once, at decision height
+  }
+
+  /**
+   * Checks for capture, steers the aircraft and decides landing or go-around.
+   * @param {Aircraft} ac - The aircraft flying the approach.
+   * @param {number} dt - Delta time in seconds.
+   * @param {Object} ctx - Context object (uses ctx.report).
+   */
+  update(ac, dt, ctx) {
+    const rwy = this.runway;
+    const g = ilsGeometry(rwy, ac.posKm, ac.altitudeFt);
+
+    if (this.phase === 'armed') {
+      const interceptDeg = Math.abs(((ac.heading - rwy.headingDeg + 540) % 360) - 180);
+      if (g.alongKm > 0 && g.alongKm < LOC_RANGE_KM && Math.abs(g.locDevDeg) < LOC_FULL_SCALE_DEG
+        && interceptDeg < LOC_MAX_INTERCEPT_DEG) {
+        this.phase = 'localizer';
+        // The approach now owns lateral guidance
+        ac.holding = null;
+        ac.target.waypoint = null;
+        ac.target.turnDirection = null;
+        ac.ownNav = false;
+        ac.state = 'approach';
+        ctx.report && ctx.report('APP', `${ac.callsign} established on localizer ${rwy.id}`);
+      } else {
+        return;
+      }
+    }
+
+    if (Math.abs(g.locDevDeg) > LOC_FULL_SCALE_DEG || g.alongKm > LOC_RANGE_KM) {
+      this._goAround(ac, ctx, 'localizer lost');
+      return;
+    }
+
+    // Track the centreline, crabbing into the crosswind
+    const correction = Math.max(-LOC_MAX_CORRECTION_DEG, Math.min(LOC_MAX_CORRECTION_DEG, -Math.atan2(g.crossKm, LOC_LOOKAHEAD_KM) / DEG));
+    const crab = Physics.windCorrectionDeg(rwy.headingDeg, ac.speedKts, ac.wind);
+    ac.target.heading = (rwy.headingDeg + correction + crab + 360) % 360;
+
+    if (this.phase === 'localizer' && Math.abs(g.gsDevFt) < GS_CAPTURE_FT) {
+      this.phase = 'glideslope';
+      ac.target.speed = ac.profile.approachSpeed || 140;
+      ac.target.mach = null;
+      ctx.report && ctx.report('APP', `${ac.callsign} glideslope captured ${rwy.id}`);
+    }
+    if (this.phase !== 'glideslope') {
+      // Without the glideslope there is no way down below decision height
+      if (g.gsAltFt - rwy.elevationFt < DECISION_HEIGHT_FT) this._goAround(ac, ctx, 'not established on glideslope');
+      return;
+    }
+
+    ac.target.altitude = Math.max(rwy.elevationFt, g.gsAltFt);
+
+    if (!this.stableChecked && g.gsAltFt - rwy.elevationFt <= DECISION_HEIGHT_FT) {
+      this.stableChecked = true;
+      const reason = this._unstableReason(ac, g);
+      if (reason) { this._goAround(ac, ctx, reason); return; }
+    }
+
+    if (g.alongKm <= 0) {
+      ac.approach = null;
+      ac.landed = true;
+      ac.state = 'landed';
+      ctx.report && ctx.report('APP', `${ac.callsign} landed runway ${rwy.id}`);
+    }
+  }
+
+  /**
+   * Stabilised approach criteria at decision height.
+   * @private
+   * @returns {string|null} - Why the approach is unstable, or null if it is stable.
+   */
+  _unstableReason(ac, g) {
+    if (Math.abs(g.crossKm) > STABLE_CROSS_KM) return 'not aligned with runway';
+    if (Math.abs(g.gsDevFt) > STABLE_GS_FT) return g.gsDevFt > 0 ? 'too high' : 'too low';
+    if (ac.iasKts > (ac.profile.approachSpeed || 140) + STABLE_SPEED_MARGIN_KTS) return 'too fast';
+    return null;
+  }
+
+  /**
+   * Abandons the approach: runway heading, climb to the missed approach altitude.
+   * @private
+   */
+  _goAround(ac, ctx, reason) {
+    ac.approach = null;
+    ac.target.heading = this.runway.headingDeg;
+    ac.target.turnDirection = null;
+    ac.target.altitude = Math.max(ac.target.altitude, this.missedApproachAltitudeFt);
+    ac.state = 'go_around';
+    ctx.report && ctx.report('APP', `${ac.callsign} going around runway ${this.runway.id}: ${reason}`);
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Module: atmosphere.js
+ *
+ * International Standard Atmosphere up to 65,000 ft: temperature, pressure and
+ * density ratios by pressure altitude, the speed of sound, and the conversions
+ * between indicated airspeed, true airspeed and Mach number. Indicated
+ * airspeed is taken as calibrated airspeed (no instrument or position error)
+ * and converted with the compressible pitot relation, so IAS and TAS part
+ * ways believably at jet levels. Beyond Mach 1 the same relation is simply
+ * extended, which keeps the conversions monotonic for the hypersonic traffic.
+ * Pure functions; the actual day (QNH, temperature) is supplied by the
+ * Environment (see environment.js).
+ */
+
+export const ISA_SEA_LEVEL_TEMP_C = 15;
+export const ISA_SEA_LEVEL_PRESSURE_HPA = 1013.25;
+export const TROPOPAUSE_FT = 36089;
+
+const KELVIN = 273.15;
+const LAPSE_RATE_C_PER_FT = 0.0019812; // 6.5 °C per km
+const FT_PER_HPA = 27; // Height of one hectopascal near sea level
+const TROPOPAUSE_PRESSURE_RATIO = 0.22336;
+const STRATOSPHERE_SCALE_HEIGHT_FT = 20806;
+const SPEED_OF_SOUND_KTS_PER_ROOT_K = 38.967854; // a = sqrt(gamma * R * T), in knots
+
+/**
+ * Pressure altitude: the altitude the standard atmosphere has the local pressure at.
+ * @param {number} altitudeFt - Altitude above mean sea level.
+ * @param {number} [qnhHpa=1013.25] - Sea level pressure of the day.
+ * @returns {number} - Pressure altitude in feet.
+ */
+export function pressureAltitudeFt(altitudeFt, qnhHpa = ISA_SEA_LEVEL_PRESSURE_HPA) {
+  return altitudeFt + (ISA_SEA_LEVEL_PRESSURE_HPA - qnhHpa) * FT_PER_HPA;
+}
+
+/**
+ * Temperature at an altitude, for a given sea level temperature. Constant above the tropopause.
+ * @param {number} altitudeFt
+ * @param {number} [seaLevelTempC=15]
+ * @returns {number} - °C
+ */
+export function temperatureC(altitudeFt, seaLevelTempC = ISA_SEA_LEVEL_TEMP_C) {
+  return seaLevelTempC - LAPSE_RATE_C_PER_FT * Math.min(altitudeFt, TROPOPAUSE_FT);
+}
+
+/**
+ * Static pressure as a fraction of standard sea level pressure.
+ * @param {number} pressureAltFt - Pressure altitude.
+ * @returns {number}
+ */
+export function pressureRatio(pressureAltFt) {
+  if (pressureAltFt <= TROPOPAUSE_FT) {
+    return Math.pow(1 - LAPSE_RATE_C_PER_FT * pressureAltFt / (ISA_SEA_LEVEL_TEMP_C + KELVIN), 5.25588);
+  }
+  return TROPOPAUSE_PRESSURE_RATIO * Math.exp(-(pressureAltFt - TROPOPAUSE_FT) / STRATOSPHERE_SCALE_HEIGHT_FT);
+}
+
+/**
+ * Air density as a fraction of standard sea level density.
+ * @param {number} pressureAltFt - Pressure altitude.
+ * @param {number} tempC - Outside air temperature.
+ * @returns {number}
+ */
+export function densityRatio(pressureAltFt, tempC) {
+  return pressureRatio(pressureAltFt) * (ISA_SEA_LEVEL_TEMP_C + KELVIN) / (tempC + KELVIN);
+}
+
+/**
+ * Speed of sound at a temperature.
+ * @param {number} tempC - Outside air temperature.
+ * @returns {number} - Knots (661.5 at 15 °C).
+ */
+export function speedOfSoundKts(tempC) {
+  return SPEED_OF_SOUND_KTS_PER_ROOT_K * Math.sqrt(tempC + KELVIN);
+}
+
+export const SEA_LEVEL_SPEED_OF_SOUND_KTS = speedOfSoundKts(ISA_SEA_LEVEL_TEMP_C);
+
+/**
+ * Mach number for a calibrated (indicated) airspeed.
+ * @param {number} iasKts
+ * @param {number} delta - Pressure ratio (see pressureRatio).
+ * @returns {number}
+ */
+export function machFromIas(iasKts, delta) {
+  const v = iasKts / SEA_LEVEL_SPEED_OF_SOUND_KTS;
+  const impact = Math.pow(1 + 0.2 * v * v, 3.5) - 1; // Impact pressure over sea level pressure
+  return Math.sqrt(5 * (Math.pow(impact / delta + 1, 2 / 7) - 1));
+}
+
+/**
+ * Calibrated (indicated) airspeed for a Mach number; the inverse of machFromIas.
+ * @param {number} mach
+ * @param {number} delta - Pressure ratio.
+ * @returns {number} - Knots.
+ */
+export function iasFromMach(mach, delta) {
+  const impact = delta * (Math.pow(1 + 0.2 * mach * mach, 3.5) - 1);
+  return SEA_LEVEL_SPEED_OF_SOUND_KTS * Math.sqrt(5 * (Math.pow(impact + 1, 2 / 7) - 1));
+}
+
+/**
+ * True airspeed for an indicated airspeed.
+ * @param {number} iasKts
+ * @param {number} delta - Pressure ratio.
+ * @param {number} tempC - Outside air temperature.
+ * @returns {number} - Knots.
+ */
+export function tasFromIas(iasKts, delta, tempC) {
+  return machFromIas(iasKts, delta) * speedOfSoundKts(tempC);
+}
+
+/**
+ * Indicated airspeed for a true airspeed; the inverse of tasFromIas.
+ * @param {number} tasKts
+ * @param {number} delta - Pressure ratio.
+ * @param {number} tempC - Outside air temperature.
+ * @returns {number} - Knots.
+ */
+export function iasFromTas(tasKts, delta, tempC) {
+  return iasFromMach(tasKts / speedOfSoundKts(tempC), delta);
+}
@@ -0,0 +1,83 @@
+/**
+ * Module: deviation.js
+ *
+ * Precision approach deviations. Turns an aircraft position into the numbers a
+ * PAR controller talks from: range from touchdown, lateral offset from the
+ * extended runway centreline and vertical offset from the glidepath at that
+ * range, each with the standard advisory wording ("slightly left of course",
+ * "well above glidepath"). The advisory bands are the corridors the PAR scopes
+ * shade, so a target outside the shaded area is always "well" off.
+ */
+import { ilsGeometry } from './approach.js';
+
+const FT_PER_KM = 3280.84;
+const M_PER_KM = 1000;
+const KM_PER_NM = 1.852;
+const DEG = Math.PI / 180;
+
+// Half-widths of the corridors shaded on the PAR scopes (elevation: 2-4° around a 3° path)
+export const AZIMUTH_CORRIDOR_DEG = 2.5;
+export const GLIDEPATH_CORRIDOR_DEG = 1;
+// Inside these the aircraft is "on course" / "on glidepath"
+const ON_COURSE_DEG = 0.5;
+const ON_GLIDEPATH_DEG = 0.2;
+
+/**
+ * Course advisory for an azimuth angle off the centreline.
+ * @param {number} azimuthDeg - Positive right of course.
+ * @returns {string}
+ */
+export function courseAdvisory(azimuthDeg) {
+  const abs = Math.abs(azimuthDeg);
+  if (abs <= ON_COURSE_DEG) return 'on course';
+  const side = azimuthDeg > 0 ? 'right' : 'left';
+  return `${abs <= AZIMUTH_CORRIDOR_DEG ? 'slightly' : 'well'} ${side} of course`;
+}
+
+/**
+ * Glidepath advisory for an elevation angle off the glidepath.
+ * @param {number} elevationDevDeg - Positive above the glidepath.
+ * @returns {string}
+ */
+export function glidepathAdvisory(elevationDevDeg) {
+  const abs = Math.abs(elevationDevDeg);
+  if (abs <= ON_GLIDEPATH_DEG) return 'on glidepath';
+  const side = elevationDevDeg > 0 ? 'above' : 'below';
+  return `${abs <= GLIDEPATH_CORRIDOR_DEG ? 'slightly' : 'well'} ${side} glidepath`;
+}
+
+/**
+ * Computes the precision approach deviations of a position.
+ * @param {Object} runway - Runway being approached (thresholdKm, headingDeg, lengthKm, elevationFt, glidepathDeg, tdzKm).
+ * @param {{x: number, y: number}} posKm - Position in local km.
+ * @param {number} altitudeFt - Altitude in feet.
+ * @returns {Object} - { alongKm, crossKm, heightKm, rangeKm, rangeNm, lateralFt, lateralM,
+ *   verticalFt, verticalM, azimuthDeg, elevationDeg, elevationDevDeg, course, glidepath }.
+ *   Lateral values are positive right of course, vertical values positive above the glidepath.
+ *   rangeKm is measured from the touchdown point and is negative once past it.
+ */
+export function computeDeviation(runway, posKm, altitudeFt) {
+  const g = ilsGeometry(runway, posKm, altitudeFt);
+  const fromTdzKm = g.alongKm + runway.tdzKm;
+  const heightKm = (altitudeFt - runway.elevationFt) / FT_PER_KM;
+  const azimuthDeg = Math.atan2(g.crossKm, fromTdzKm) / DEG;
+  const elevationDeg = Math.atan2(heightKm, fromTdzKm) / DEG;
+  const elevationDevDeg = elevationDeg - runway.glidepathDeg;
+  const rangeKm = Math.sign(fromTdzKm) * Math.hypot(fromTdzKm, g.crossKm);
+  return {
+    alongKm: g.alongKm,
+    crossKm: g.crossKm,
+    heightKm,
+    rangeKm,
+    rangeNm: rangeKm / KM_PER_NM,
+    lateralFt: g.crossKm * FT_PER_KM,
+    lateralM: g.crossKm * M_PER_KM,
+    verticalFt: g.gsDevFt,
+    verticalM: (g.gsDevFt / FT_PER_KM) * M_PER_KM,
+    azimuthDeg,
+    elevationDeg,
+    elevationDevDeg,
+    course: courseAdvisory(azimuthDeg),
+    glidepath: glidepathAdvisory(elevationDevDeg),
+  };
+}
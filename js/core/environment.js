@@ -0,0 +1,274 @@
+/**
+ * Module: environment.js
+ *
+ * The weather the traffic flies in. Wind is given in layers (direction it
+ * blows from and speed at an altitude) and interpolated between them as a
+ * vector, so a veering wind turns smoothly with height; above the top and
+ * below the bottom layer the nearest layer applies. Gusts add up to gustKts
+ * to the wind speed, easing between randomly drawn strengths. Turbulence
+ * bumps each aircraft vertically and in airspeed. QNH and the sea level
+ * temperature set the air pressure, density and speed of sound, and with
+ * them the relation between indicated airspeed, true airspeed and Mach. All
+ * random values come from the environment's own seeded source, and none are
+ * drawn in calm air, so a seed rebuilds the same run whatever the weather.
+ */
+import { ENVIRONMENT_CONFIG } from '../config.js';
+import * as Atmosphere from './atmosphere.js';
+
+export const TURBULENCE_LEVELS = ['none', 'light', 'moderate', 'severe'];
+
+const DEG = Math.PI / 180;
+
+/**
+ * A wind layer.
+ * @typedef {Object} WindLayer
+ * @property {number} altitudeFt - Altitude the layer applies at; 0 is the surface wind.
+ * @property {number} dirDeg - Direction the wind blows from (true).
+ * @property {number} speedKts
+ */
+
+/**
+ * Environment settings, as edited in the environment panel and written in scenario files.
+ * Every field is optional when passed to Environment.configure.
+ * @typedef {Object} EnvironmentSettings
+ * @property {Array<WindLayer>} windLayers - Replaces all layers.
+ * @property {number} gustKts - Largest gust above the steady wind.
+ * @property {string} turbulence - One of TURBULENCE_LEVELS.
+ * @property {number} qnhHpa - Sea level pressure.
+ * @property {number} temperatureC - Sea level temperature.
+ */
+
+/**
+ * Formats a wind as ddd/ss, e.g. "270/25".
+ * @param {{dirDeg: number, speedKts: number}} wind
+ * @returns {string}
+ */
+export function formatWind(wind) {
+  return `${String(Math.round(wind.dirDeg) % 360 || 360).padStart(3, '0')}/${String(Math.round(wind.speedKts)).padStart(2, '0')}`;
+}
+
+/**
+ * Class holding the weather of one simulation.
+ * @class
+ */
+export class Environment {
+  /**
+   * @param {Random} [rng] - Source for gusts and turbulence; Math.random() if omitted.
+   */
+  constructor(rng = null) {
+    this.reset(rng);
+  }
+
+  /**
+   * Returns to calm ISA conditions.
+   * @param {Random} [rng] - New random source.
+   */
+  reset(rng = null) {
+    this.rng = rng;
+    this.windLayers = [{ altitudeFt: 0, dirDeg: 0, speedKts: 0 }]; // Sorted by altitude
+    this.gustKts = 0;
+    this.turbulence = 'none';
+    this.qnhHpa = Atmosphere.ISA_SEA_LEVEL_PRESSURE_HPA;
+    this.temperatureC = Atmosphere.ISA_SEA_LEVEL_TEMP_C;
+    this.gust = 0; // Present gust strength, 0..1 of gustKts
+    this.gustTarget = 0;
+    this.gustTimer = 0;
+  }
+
+  /**
+   * Changes some or all settings. Fields that are not given keep their value.
+   * @param {Partial<EnvironmentSettings>} settings
+   */
+  configure(settings) {
+    if (settings.windLayers) {
+      this.windLayers = [];
+      for (const layer of settings.windLayers) this.setWind(layer);
+      if (this.windLayers.length === 0) this.windLayers = [{ altitudeFt: 0, dirDeg: 0, speedKts: 0 }];
+    }
+    if (settings.gustKts !== undefined) this.gustKts = settings.gustKts;
+    if (settings.turbulence !== undefined) this.turbulence = settings.turbulence;
+    if (settings.qnhHpa !== undefined) this.qnhHpa = settings.qnhHpa;
+    if (settings.temperatureC !== undefined) this.temperatureC = settings.temperatureC;
+  }
+
+  /**
+   * Sets the wind of one layer, replacing a layer at the same altitude.
+   * @param {{altitudeFt?: number, dirDeg: number, speedKts: number}} layer - altitudeFt defaults to the surface.
+   */
+  setWind({ altitudeFt = 0, dirDeg, speedKts }) {
+    this.windLayers = this.windLayers.filter(l => l.altitudeFt !== altitudeFt);
+    this.windLayers.push({ altitudeFt, dirDeg: dirDeg % 360, speedKts });
+    this.windLayers.sort((a, b) => a.altitudeFt - b.altitudeFt);
+  }
+
+  /**
+   * The present settings.
+   * @returns {EnvironmentSettings}
+   */
+  settings() {
+    return {
+      windLayers: this.windLayers.map(l => ({ ...l })),
+      gustKts: this.gustKts,
+      turbulence: this.turbulence,
+      qnhHpa: this.qnhHpa,
+      temperatureC: this.temperatureC,
+    };
+  }
+
+  /**
+   * One-line summary for the session log, e.g. "wind SFC 090/10, 5000ft 270/30, gusts 15 kt, QNH 1008, 28°C".
+   * @returns {string}
+   */
+  describe() {
+    const layers = this.windLayers.map(l => `${l.altitudeFt === 0 ? 'SFC' : `${l.altitudeFt}ft`} ${formatWind(l)}`);
+    const parts = [`wind ${layers.join(', ')}`];
+    if (this.gustKts > 0) parts.push(`gusts ${this.gustKts} kt`);
+    if (this.turbulence !== 'none') parts.push(`${this.turbulence} turbulence`);
+    parts.push(`QNH ${Math.round(this.qnhHpa)}`, `${Math.round(this.temperatureC)}°C`);
+    return parts.join(', ');
+  }
+
+  /**
+   * Advances the gusts. Called once per physics step.
+   * @param {number} dt - Delta time in seconds.
+   */
+  update(dt) {
+    if (this.gustKts <= 0) {
+      this.gust = 0;
+      return;
+    }
+    this.gustTimer -= dt;
+    if (this.gustTimer <= 0) {
+      this.gustTimer = ENVIRONMENT_CONFIG.gustIntervalSec;
+      this.gustTarget = this._random();
+    }
+    this.gust += (this.gustTarget - this.gust) * Math.min(1, dt / ENVIRONMENT_CONFIG.turbulenceTimeConstantSec);
+  }
+
+  /**
+   * Wind at an altitude, including the present gust.
+   * @param {number} altitudeFt
+   * @returns {{dirDeg: number, speedKts: number}} - dirDeg is where the wind blows from.
+   */
+  windAt(altitudeFt) {
+    const layers = this.windLayers;
+    let upper = layers.findIndex(l => l.altitudeFt >= altitudeFt);
+    if (upper === -1) upper = layers.length - 1;
+    const lower = Math.max(0, upper - 1);
+    const a = layers[lower], b = layers[upper];
+    const f = b.altitudeFt > a.altitudeFt ? Math.max(0, Math.min(1, (altitudeFt - a.altitudeFt) / (b.altitudeFt - a.altitudeFt))) : 1;
+    // Interpolate the wind vectors (components of where the wind comes from)
+    const x = (1 - f) * a.speedKts * Math.sin(a.dirDeg * DEG) + f * b.speedKts * Math.sin(b.dirDeg * DEG);
+    const y = (1 - f) * a.speedKts * Math.cos(a.dirDeg * DEG) + f * b.speedKts * Math.cos(b.dirDeg * DEG);
+    const speedKts = Math.hypot(x, y);
+    if (speedKts === 0) return { dirDeg: 0, speedKts: 0 };
+    return { dirDeg: (Math.atan2(x, y) / DEG + 360) % 360, speedKts: speedKts + this.gust * this.gustKts };
+  }
+
+  /**
+   * Outside air temperature at an altitude.
+   * @param {number} altitudeFt
+   * @returns {number} - °C
+   */
+  temperatureAt(altitudeFt) {
+    return Atmosphere.temperatureC(altitudeFt, this.temperatureC);
+  }
+
+  /**
+   * Static pressure at an altitude as a fraction of standard sea level pressure.
+   * @param {number} altitudeFt
+   * @returns {number}
+   */
+  pressureRatioAt(altitudeFt) {
+    return Atmosphere.pressureRatio(Atmosphere.pressureAltitudeFt(altitudeFt, this.qnhHpa));
+  }
+
+  /**
+   * Air density at an altitude as a fraction of standard sea level density.
+   * @param {number} altitudeFt
+   * @returns {number}
+   */
+  densityRatioAt(altitudeFt) {
+    return Atmosphere.densityRatio(Atmosphere.pressureAltitudeFt(altitudeFt, this.qnhHpa), this.temperatureAt(altitudeFt));
+  }
+
+  /**
+   * Speed of sound at an altitude.
+   * @param {number} altitudeFt
+   * @returns {number} - Knots.
+   */
+  speedOfSoundAt(altitudeFt) {
+    return Atmosphere.speedOfSoundKts(this.temperatureAt(altitudeFt));
+  }
+
+  /**
+   * Indicated airspeed of an aircraft flying a true airspeed at an altitude.
+   * @param {number} tasKts
+   * @param {number} altitudeFt
+   * @returns {number}
+   */
+  iasFromTas(tasKts, altitudeFt) {
+    return Atmosphere.iasFromTas(tasKts, this.pressureRatioAt(altitudeFt), this.temperatureAt(altitudeFt));
+  }
+
+  /**
+   * True airspeed of an aircraft flying an indicated airspeed at an altitude.
+   * @param {number} iasKts
+   * @param {number} altitudeFt
+   * @returns {number}
+   */
+  tasFromIas(iasKts, altitudeFt) {
+    return Atmosphere.tasFromIas(iasKts, this.pressureRatioAt(altitudeFt), this.temperatureAt(altitudeFt));
+  }
+
+  /**
+   * Mach number of a true airspeed at an altitude.
+   * @param {number} tasKts
+   * @param {number} altitudeFt
+   * @returns {number}
+   */
+  machFromTas(tasKts, altitudeFt) {
+    return tasKts / this.speedOfSoundAt(altitudeFt);
+  }
+
+  /**
+   * True airspeed of a Mach number at an altitude.
+   * @param {number} mach
+   * @param {number} altitudeFt
+   * @returns {number} - Knots.
+   */
+  tasFromMach(mach, altitudeFt) {
+    return mach * this.speedOfSoundAt(altitudeFt);
+  }
+
+  /**
+   * Advances one aircraft's turbulence bump: a vertical gust and an airspeed
+   * excursion that each wander around zero, lasting about turbulenceTimeConstantSec.
+   * @param {{verticalFps: number, airspeedKts: number}} state - The aircraft's bump, updated in place.
+   * @param {number} dt - Delta time in seconds.
+   * @returns {{verticalFps: number, airspeedKts: number}} - The updated state.
+   */
+  turbulenceStep(state, dt) {
+    const sigma = ENVIRONMENT_CONFIG.turbulence[this.turbulence] || ENVIRONMENT_CONFIG.turbulence.none;
+    if (sigma.verticalFps === 0 && sigma.airspeedKts === 0) {
+      state.verticalFps = 0;
+      state.airspeedKts = 0;
+      return state;
+    }
+    const decay = Math.min(1, dt / ENVIRONMENT_CONFIG.turbulenceTimeConstantSec);
+    const kick = Math.sqrt(2 * decay);
+    state.verticalFps += -state.verticalFps * decay + sigma.verticalFps * kick * this._gauss();
+    state.airspeedKts += -state.airspeedKts * decay + sigma.airspeedKts * kick * this._gauss();
+    return state;
+  }
+
+  /** @private */
+  _random() {
+    return this.rng ? this.rng.next() : Math.random();
+  }
+
+  /** @private Standard normal value. */
+  _gauss() {
+    return Math.sqrt(-2 * Math.log(1 - this._random())) * Math.cos(2 * Math.PI * this._random());
+  }
+}
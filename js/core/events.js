@@ -0,0 +1,102 @@
+/**
+ * Module: events.js
+ *
+ * Scripted exercise events. An event fires once, either at a set simulation time
+ * (`at`) or the first time a condition on an aircraft becomes true (`when`), and
+ * then performs its action through the regular simulation APIs: spawning traffic,
+ * changing the wind, or applying commands to an aircraft. Every fired event is
+ * written to the simulation log so it can be reviewed in the debrief.
+ */
+import * as Physics from './physics.js';
+import * as Command from '../ui/command.js';
+import { toSpawnParams } from './scenario.js';
+import { formatWind } from './environment.js';
+
+/**
+ * Checks an event condition against the current simulation state.
+ * @param {Object} when - e.g. { callsign: 'AC102', altitudeBelowFt: 5000 }.
+ * @param {Simulation} sim
+ * @returns {boolean}
+ */
+export function conditionMet(when, sim) {
+  const ac = sim.getAircraftByCallsign(when.callsign);
+  if (!ac) return false;
+  if (when.altitudeBelowFt !== undefined && !(ac.altitudeFt < when.altitudeBelowFt)) return false;
+  if (when.altitudeAboveFt !== undefined && !(ac.altitudeFt > when.altitudeAboveFt)) return false;
+  if (when.rangeBelowKm !== undefined && !(Physics.distanceKm(ac.posKm, { x: 0, y: 0 }) < when.rangeBelowKm)) return false;
+  return true;
+}
+
+/**
+ * Performs an event action.
+ * @param {Object} action - The event's `do` block.
+ * @param {Simulation} sim
+ * @returns {string} - A human readable description for the log.
+ */
+function perform(action, sim) {
+  switch (action.type) {
+    case 'spawn': {
+      const ac = sim.spawnAircraft(toSpawnParams(action.aircraft, sim.projection));
+      return `${ac.callsign} entered the exercise`;
+    }
+    case 'wind':
+      sim.env.setWind(action);
+      return `Wind${action.altitudeFt ? ` at ${action.altitudeFt} ft` : ''} changed to ${formatWind(action)}`;
+    case 'command': {
+      const parsed = Command.parseRawCommand(`${action.callsign} ${action.command}`);
+      if (!parsed.ok) return `Command "${action.command}" for ${action.callsign} not applied: ${parsed.error}`;
+      // Each part is checked against the state the parts before it left, as when typed,
+      // so 'C 35 EXP' expedites the climb it starts; the first invalid part ends the chain
+      let applied = 0;
+      for (const command of parsed.commands) {
+        const commandWithTarget = { ...command, callsign: parsed.callsign };
+        const v = Command.validateCommand(commandWithTarget, sim);
+        if (!v.ok) {
+          if (applied === 0) return `Command "${action.command}" for ${action.callsign} not applied: ${v.reason}`;
+          return `${action.callsign} instructed: ${action.command}, only the first ${applied} part(s) applied: ${v.reason}`;
+        }
+        Command.dispatchCommand(commandWithTarget, sim);
+        applied++;
+      }
+      return `${action.callsign} instructed: ${action.command}`;
+    }
+    case 'emergency': {
+      const ac = sim.getAircraftByCallsign(action.callsign);
+      if (!ac) return `Emergency for ${action.callsign} not applied: aircraft not found`;
+      ac.applyCommand({ type: 'declare_emergency', params: { kind: action.kind } });
+      return `${ac.callsign} declares emergency${action.kind ? ` (${action.kind})` : ''}`;
+    }
+    default:
+      return `Unknown event action ${action.type}`;
+  }
+}
+
+/**
+ * Runs the scripted events of one exercise.
+ * @class
+ */
+export class EventRunner {
+  /**
+   * @param {Array<Object>} events - Validated scenario events ({ at | when, do, label? }).
+   */
+  constructor(events = []) {
+    // Keep the script order for events that become due in the same step
+    this.pending = events.map((event, index) => ({ ...event, index }));
+  }
+
+  /**
+   * Fires every pending event whose time has come or whose condition holds.
+   * Called once per physics step from Simulation.update.
+   * @param {Simulation} sim
+   */
+  update(sim) {
+    if (this.pending.length === 0) return;
+    const due = this.pending.filter(ev => ev.when ? conditionMet(ev.when, sim) : ev.at <= sim.time);
+    if (due.length === 0) return;
+    this.pending = this.pending.filter(ev => !due.includes(ev));
+    for (const ev of due) {
+      const message = perform(ev.do, sim);
+      sim.logEvent('EVENT', ev.label ? `${ev.label}: ${message}` : message);
+    }
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Module: flightplan.js
+ *
+ * Defines the FlightPlan class: departure, destination, cruise level and an ordered
+ * route of fixes with optional altitude and speed restrictions. The plan only keeps
+ * track of which leg is active; flying it is done by Aircraft, which sequences the
+ * plan each time it passes the active fix.
+ */
+
+/**
+ * A fix on the route, resolved to local km.
+ * @typedef {Object} RoutePoint
+ * @property {string} name - Fix name.
+ * @property {{x: number, y: number}} posKm - Fix position.
+ * @property {number} [altitudeFt] - Altitude to fly towards this fix.
+ * @property {number} [speedKts] - Speed to fly towards this fix.
+ */
+
+/**
+ * Flight plan with route sequencing.
+ * @class
+ */
+export class FlightPlan {
+  /**
+   * @param {Object} opts
+   * @param {string} [opts.departure] - Departure aerodrome, e.g. 'VGHS'.
+   * @param {string} [opts.destination] - Destination aerodrome.
+   * @param {number} [opts.cruiseAltitudeFt] - Filed cruise level in feet.
+   * @param {Array<RoutePoint>} opts.route - Resolved route.
+   */
+  constructor({ departure = '', destination = '', cruiseAltitudeFt = null, route = [] }) {
+    this.departure = departure;
+    this.destination = destination;
+    this.cruiseAltitudeFt = cruiseAltitudeFt;
+    this.route = route;
+    this.activeIndex = 0; // Index of the fix the aircraft is flying to
+  }
+
+  /**
+   * Builds a plan from its scenario-file form, resolving fix names with the nav database.
+   * Route entries are either a fix name or { fix, altitudeFt?, speedKts? }.
+   * @param {Object} data - Flight plan as written in a scenario file.
+   * @param {NavDatabase} navdata - Fix database.
+   * @returns {{plan: FlightPlan, unknown: Array<string>}} - The plan and any fix names that could not be resolved.
+   */
+  static fromData(data, navdata) {
+    const unknown = [];
+    const route = [];
+    for (const entry of data.route || []) {
+      const { fix: name, ...restrictions } = typeof entry === 'string' ? { fix: entry } : entry;
+      const fix = navdata.get(name);
+      if (!fix) { unknown.push(name); continue; }
+      route.push({ name: fix.name, posKm: { ...fix.posKm }, ...restrictions });
+    }
+    const plan = new FlightPlan({
+      departure: data.departure,
+      destination: data.destination,
+      cruiseAltitudeFt: data.cruiseAltitudeFt,
+      route,
+    });
+    return { plan, unknown };
+  }
+
+  /** @returns {RoutePoint|null} - The fix currently flown to. */
+  get activeFix() {
+    return this.route[this.activeIndex] || null;
+  }
+
+  /** @returns {RoutePoint|null} - The fix after the active one. */
+  get nextFix() {
+    return this.route[this.activeIndex + 1] || null;
+  }
+
+  /** @returns {boolean} - True once every fix has been passed. */
+  get isComplete() {
+    return this.activeIndex >= this.route.length;
+  }
+
+  /**
+   * Describes the active leg, e.g. { from: 'SAVAR', to: 'TANGL' }. The first leg
+   * starts at the present position.
+   * @returns {{from: string, to: string}|null}
+   */
+  activeLeg() {
+    if (this.isComplete) return null;
+    const from = this.activeIndex > 0 ? this.route[this.activeIndex - 1].name : 'PPOS';
+    return { from, to: this.activeFix.name };
+  }
+
+  /**
+   * Marks the active fix as passed.
+   * @returns {RoutePoint|null} - The new active fix, or null if the route is complete.
+   */
+  sequence() {
+    if (!this.isComplete) this.activeIndex++;
+    return this.activeFix;
+  }
+
+  /**
+   * Makes a fix further along the route the active one (e.g. after "direct to").
+   * @param {string} name - Fix name.
+   * @returns {boolean} - False if the fix is not ahead on the route.
+   */
+  skipTo(name) {
+    const idx = this.route.findIndex((p, i) => i >= this.activeIndex && p.name === name.toUpperCase());
+    if (idx < 0) return false;
+    this.activeIndex = idx;
+    return true;
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Module: geo.js
+ *
+ * Geographic coordinate system. Anchors the radar-local km grid used by physics.js
+ * and Aircraft.posKm to a real site, and converts between latitude/longitude,
+ * local km (x = east, y = north) and radial/DME notation. Uses an azimuthal
+ * equidistant projection centred on the radar head, so ranges and bearings from
+ * the radar are exact and distortion stays far below display resolution within
+ * a few hundred km.
+ */
+
+const EARTH_RADIUS_KM = 6371.0088;
+const KM_PER_NM = 1.852;
+const DEG = Math.PI / 180;
+
+const normalizeDeg = (deg) => ((deg % 360) + 360) % 360;
+
+/**
+ * Projection between lat/lon and radar-local km.
+ * @class
+ */
+export class GeoProjection {
+  /**
+   * @param {Object} site - The radar head.
+   * @param {number} site.lat - Latitude in decimal degrees (north positive).
+   * @param {number} site.lon - Longitude in decimal degrees (east positive).
+   * @param {number} [site.magVarDeg=0] - Magnetic variation, east positive. Used for radials.
+   * @param {string} [site.name] - Site identifier, e.g. 'VGHS'.
+   */
+  constructor(site) {
+    this.site = { magVarDeg: 0, ...site };
+    this.lat0 = site.lat * DEG;
+    this.lon0 = site.lon * DEG;
+  }
+
+  /**
+   * Converts lat/lon to local km.
+   * @param {{lat: number, lon: number}} geo
+   * @returns {{x: number, y: number}}
+   */
+  toLocal({ lat, lon }) {
+    const phi = lat * DEG;
+    const dLon = lon * DEG - this.lon0;
+    const cosC = Math.sin(this.lat0) * Math.sin(phi) + Math.cos(this.lat0) * Math.cos(phi) * Math.cos(dLon);
+    const c = Math.acos(Math.max(-1, Math.min(1, cosC)));
+    const k = c === 0 ? 1 : c / Math.sin(c);
+    return {
+      x: EARTH_RADIUS_KM * k * Math.cos(phi) * Math.sin(dLon),
+      y: EARTH_RADIUS_KM * k * (Math.cos(this.lat0) * Math.sin(phi) - Math.sin(this.lat0) * Math.cos(phi) * Math.cos(dLon)),
+    };
+  }
+
+  /**
+   * Converts local km to lat/lon.
+   * @param {{x: number, y: number}} posKm
+   * @returns {{lat: number, lon: number}}
+   */
+  toGeo({ x, y }) {
+    const rho = Math.sqrt(x * x + y * y);
+    if (rho === 0) return { lat: this.site.lat, lon: this.site.lon };
+    const c = rho / EARTH_RADIUS_KM;
+    const phi = Math.asin(Math.cos(c) * Math.sin(this.lat0) + (y * Math.sin(c) * Math.cos(this.lat0)) / rho);
+    const lon = this.lon0 + Math.atan2(
+      x * Math.sin(c),
+      rho * Math.cos(this.lat0) * Math.cos(c) - y * Math.sin(this.lat0) * Math.sin(c),
+    );
+    return { lat: phi / DEG, lon: normalizeDeg(lon / DEG + 180) - 180 };
+  }
+
+  /**
+   * Converts local km to a magnetic radial and DME distance from the radar head.
+   * @param {{x: number, y: number}} posKm
+   * @returns {{radialDeg: number, dmeNm: number}} - radialDeg in 1-360, as written on charts.
+   */
+  toRadialDme({ x, y }) {
+    const trueBearing = normalizeDeg(Math.atan2(x, y) / DEG);
+    const radial = normalizeDeg(trueBearing - this.site.magVarDeg);
+    return { radialDeg: radial === 0 ? 360 : radial, dmeNm: Math.sqrt(x * x + y * y) / KM_PER_NM };
+  }
+
+  /**
+   * Converts a magnetic radial and DME distance to local km.
+   * @param {{radialDeg: number, dmeNm: number}} rd
+   * @returns {{x: number, y: number}}
+   */
+  fromRadialDme({ radialDeg, dmeNm }) {
+    const rad = (radialDeg + this.site.magVarDeg) * DEG;
+    const km = dmeNm * KM_PER_NM;
+    return { x: Math.sin(rad) * km, y: Math.cos(rad) * km };
+  }
+}
+
+/**
+ * Formats a lat/lon as degrees and decimal minutes, e.g. "23°50.60'N 090°23.87'E".
+ * @param {{lat: number, lon: number}} geo
+ * @returns {string}
+ */
+export function formatLatLon({ lat, lon }) {
+  const part = (value, width, pos, neg) => {
+    const abs = Math.abs(value);
+    let deg = Math.floor(abs);
+    let min = (abs - deg) * 60;
+    if (min >= 59.995) { deg += 1; min = 0; }
+    return `${String(deg).padStart(width, '0')}°${min.toFixed(2).padStart(5, '0')}'${value < 0 ? neg : pos}`;
+  };
+  return `${part(lat, 2, 'N', 'S')} ${part(lon, 3, 'E', 'W')}`;
+}
+
+/**
+ * Formats a radial/DME pair, e.g. "R324/12.3".
+ * @param {{radialDeg: number, dmeNm: number}} rd
+ * @returns {string}
+ */
+export function formatRadialDme({ radialDeg, dmeNm }) {
+  return `R${String(Math.round(radialDeg) || 360).padStart(3, '0')}/${dmeNm.toFixed(1)}`;
+}
@@ -0,0 +1,171 @@
+/**
+ * Module: holding.js
+ *
+ * Holding pattern guidance. A Holding instance is attached to an Aircraft by the
+ * HOLD command and, each physics step, sets the aircraft's target heading and
+ * forced turn direction so that it flies to the fix, performs the standard
+ * direct / parallel / teardrop entry, and then flies the racetrack: outbound
+ * turn, outbound leg, inbound turn, inbound leg.
+ */
+import * as Physics from './physics.js';
+
+const FIX_ARRIVAL_KM = 1; // Distance at which the fix counts as overflown
+const TURN_DONE_DEG = 1; // Heading error at which a turn counts as complete
+const TEARDROP_OFFSET_DEG = 30; // Teardrop outbound heading offset from the outbound course
+
+const normalize = (deg) => ((deg % 360) + 360) % 360;
+const headingError = (a, b) => Math.abs(((a - b + 540) % 360) - 180);
+const opposite = (turn) => (turn === 'R' ? 'L' : 'R');
+
+/**
+ * Picks the standard holding entry from the heading flown over the fix.
+ * For a right-hand hold, with the heading measured clockwise from the inbound
+ * course: teardrop 110-180°, parallel 180-290°, direct otherwise (the 180°
+ * sector either side of the inbound course); mirrored for left turns.
+ * @param {number} heading - Aircraft heading when crossing the fix.
+ * @param {number} inboundCourse - Inbound course of the hold.
+ * @param {string} turn - 'L' or 'R'.
+ * @returns {string} - 'direct', 'parallel' or 'teardrop'.
+ */
+export function holdEntry(heading, inboundCourse, turn) {
+  let rel = normalize(heading - inboundCourse);
+  if (turn === 'L') rel = normalize(360 - rel);
+  if (rel > 110 && rel <= 180) return 'teardrop';
+  if (rel > 180 && rel < 290) return 'parallel';
+  return 'direct';
+}
+
+/**
+ * Holding pattern state machine for one aircraft.
+ * @class
+ */
+export class Holding {
+  /**
+   * @param {Object} opts
+   * @param {{name: string, posKm: {x: number, y: number}}} opts.fix - Holding fix.
+   * @param {number} opts.inboundCourse - Inbound course in degrees.
+   * @param {string} [opts.turn='R'] - 'L' or 'R'.
+   * @param {number} opts.legTimeSec - Outbound leg time in seconds.
+   */
+  constructor({ fix, inboundCourse, turn = 'R', legTimeSec }) {
+    this.fix = fix;
+    this.inboundCourse = normalize(inboundCourse);
+    this.outboundCourse = normalize(inboundCourse + 180);
+    this.turn = turn;
+    this.legTimeSec = legTimeSec;
+    this.entry = null; // Chosen on reaching the fix
+    this.phase = 'to_fix';
+    this.timer = 0;
+    this.lastOffNose = undefined;
+  }
+
+  /**
+   * Detects overflying the fix: within the arrival radius, or the fix moving
+   * from ahead of the wing to behind it while close.
+   * @private
+   */
+  _overFix(ac, dist, brg) {
+    const offNose = headingError(brg, ac.heading);
+    const passed = this.lastOffNose !== undefined && this.lastOffNose < 90 && offNose >= 90
+      && dist < 2 * Physics.turnRadiusKm(ac.speedKts, ac.profile);
+    this.lastOffNose = offNose;
+    return dist < FIX_ARRIVAL_KM || passed;
+  }
+
+  /**
+   * Advances the pattern and steers the aircraft.
+   * @param {Aircraft} ac - The holding aircraft.
+   * @param {number} dt - Delta time in seconds.
+   * @param {Object} ctx - Context object (uses ctx.report).
+   */
+  update(ac, dt, ctx) {
+    const dist = Physics.distanceKm(ac.posKm, this.fix.posKm);
+    const brg = Physics.bearingTo(ac.posKm, this.fix.posKm);
+    let heading = brg;
+    let direction = null;
+
+    switch (this.phase) {
+      case 'to_fix':
+      case 'inbound':
+        if (this._overFix(ac, dist, brg)) {
+          if (this.phase === 'to_fix') {
+            this.entry = holdEntry(ac.heading, this.inboundCourse, this.turn);
+            ctx.report && ctx.report('NAV', `${ac.callsign} entering hold at ${this.fix.name} (${this.entry})`);
+            this.phase = { direct: 'outbound_turn', parallel: 'parallel_outbound', teardrop: 'teardrop_outbound' }[this.entry];
+          } else {
+            this.phase = 'outbound_turn';
+          }
+          this.timer = 0;
+          this.lastOffNose = undefined;
+          return this.update(ac, dt, ctx);
+        }
+        break;
+      case 'outbound_turn':
+        heading = this.outboundCourse;
+        direction = this.turn;
+        if (headingError(ac.heading, heading) < TURN_DONE_DEG) { this.phase = 'outbound'; this.timer = 0; }
+        break;
+      case 'outbound':
+        heading = this.outboundCourse;
+        this.timer += dt;
+        if (this.timer >= this.legTimeSec) this.phase = 'inbound_turn';
+        break;
+      case 'inbound_turn':
+        heading = this.inboundCourse;
+        direction = this.turn;
+        if (headingError(ac.heading, heading) < TURN_DONE_DEG) this.phase = 'inbound';
+        break;
+      case 'parallel_outbound':
+        // Outbound on the non-holding side, turning against the holding direction
+        heading = this.outboundCourse;
+        direction = opposite(this.turn);
+        this.timer += dt;
+        if (this.timer >= this.legTimeSec) this.phase = 'parallel_return';
+        break;
+      case 'parallel_return':
+        // Keep turning the same way (more than 180°) back towards the fix
+        direction = opposite(this.turn);
+        if (headingError(ac.heading, brg) < TURN_DONE_DEG) { this.phase = 'inbound'; this.lastOffNose = undefined; }
+        break;
+      case 'teardrop_outbound':
+        heading = normalize(this.outboundCourse + (this.turn === 'R' ? -TEARDROP_OFFSET_DEG : TEARDROP_OFFSET_DEG));
+        this.timer += dt;
+        if (this.timer >= this.legTimeSec) this.phase = 'inbound_turn';
+        break;
+    }
+
+    ac.target.heading = heading;
+    ac.target.turnDirection = direction;
+  }
+
+  /**
+   * Returns the racetrack outline for display, as a closed polyline in local km.
+   * @param {number} speedKts - Speed used for leg length and turn radius.
+   * @param {Object} profile - Aircraft performance profile.
+   * @returns {Array<{x: number, y: number}>}
+   */
+  outline(speedKts, profile) {
+    const r = Physics.turnRadiusKm(speedKts, profile);
+    const legKm = speedKts * 0.000514444 * this.legTimeSec;
+    const c = this.inboundCourse * Math.PI / 180;
+    const u = { x: Math.sin(c), y: Math.cos(c) }; // along the inbound course
+    const side = this.turn === 'R' ? 1 : -1;
+    const n = { x: side * Math.cos(c), y: -side * Math.sin(c) }; // towards the holding side
+    const F = this.fix.posKm;
+    const A = { x: F.x - u.x * legKm, y: F.y - u.y * legKm }; // start of the inbound leg
+    const points = [];
+    const arc = (center, from, bulge) => {
+      for (let i = 0; i <= 12; i++) {
+        const t = Math.PI * i / 12;
+        points.push({
+          x: center.x + r * (from.x * Math.cos(t) + bulge.x * Math.sin(t)),
+          y: center.y + r * (from.y * Math.cos(t) + bulge.y * Math.sin(t)),
+        });
+      }
+    };
+    arc({ x: F.x + n.x * r, y: F.y + n.y * r }, { x: -n.x, y: -n.y }, u); // turn at the fix
+    arc({ x: A.x + n.x * r, y: A.y + n.y * r }, n, { x: -u.x, y: -u.y }); // turn at the far end
+    points.push({ ...F });
+    return points;
+  }
+}
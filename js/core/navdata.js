@@ -0,0 +1,76 @@
+/**
+ * Module: navdata.js
+ *
+ * Navigation fix and navaid database. Entries are loaded from a data file
+ * (data/fixes.json) and may be given in lat/lon or in radar-local km; every
+ * entry is resolved to local km with the simulation's GeoProjection so the
+ * physics and display code only ever deal with posKm.
+ */
+
+export const FIX_TYPES = ['FIX', 'VOR', 'VORDME', 'NDB'];
+
+/**
+ * In-memory fix database.
+ * @class
+ */
+export class NavDatabase {
+  constructor() {
+    this.fixes = new Map(); // Key: upper-case name, Value: { name, type, posKm, lat, lon }
+  }
+
+  /**
+   * Adds the entries of a parsed fix file. Entries that cannot be used are
+   * skipped and reported back, so one bad line does not lose the whole file.
+   * @param {{fixes: Array<Object>}} data - Parsed data/fixes.json.
+   * @param {GeoProjection} projection - Projection of the simulation.
+   * @returns {Array<{path: string, message: string}>} - Problems found, empty if none.
+   */
+  load(data, projection) {
+    const errors = [];
+    (data?.fixes || []).forEach((entry, i) => {
+      const path = `$.fixes[${i}]`;
+      if (typeof entry?.name !== 'string' || entry.name.trim() === '') return errors.push({ path, message: 'missing name' });
+      const type = entry.type || 'FIX';
+      if (!FIX_TYPES.includes(type)) return errors.push({ path, message: `unknown type "${type}"` });
+
+      let posKm, geo;
+      if (Number.isFinite(entry.lat) && Number.isFinite(entry.lon)) {
+        geo = { lat: entry.lat, lon: entry.lon };
+        posKm = projection.toLocal(geo);
+      } else if (Number.isFinite(entry.x) && Number.isFinite(entry.y)) {
+        posKm = { x: entry.x, y: entry.y };
+        geo = projection.toGeo(posKm);
+      } else {
+        return errors.push({ path, message: 'needs lat/lon or x/y' });
+      }
+      const name = entry.name.trim().toUpperCase();
+      this.fixes.set(name, { name, type, posKm, ...geo });
+    });
+    return errors;
+  }
+
+  /**
+   * Looks up a fix by name (case-insensitive).
+   * @param {string} name
+   * @returns {Object|undefined}
+   */
+  get(name) {
+    return this.fixes.get(String(name).toUpperCase());
+  }
+
+  /** @returns {Array<Object>} - All fixes. */
+  all() {
+    return [...this.fixes.values()];
+  }
+}
+
+/**
+ * Fetches a fix file.
+ * @param {string} url - URL of the fix file.
+ * @returns {Promise<Object>} - Parsed JSON.
+ */
+export async function fetchNavData(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Could not load ${url}`);
+  return response.json();
+}
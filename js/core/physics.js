@@ -8,84 +8,224 @@
  */
 
 const KNOTS_TO_KMS = 0.000514444; // Knots to Kilometers per Second
+const THRUST_LAPSE_EXPONENT = 0.7; // Available thrust scales with density ratio to this power
+const G_KTS_PER_SEC = 19.07; // Gravity, 9.81 m/s² in knots per second
+
+// Turns (see computeTurn)
+const STANDARD_RATE_DEG_PER_SEC = 3; // Rate one: 360° in two minutes
+const DEFAULT_MAX_BANK_DEG = 25;
+const DEFAULT_ROLL_RATE_DEG_PER_SEC = 5;
+const BANK_PER_DEG_TO_GO = 3; // Bank asked for per degree of heading still to turn, so the roll-out starts in time
+const HEADING_CAPTURE_DEG = 0.5; // Closer than this the heading counts as reached
+
+// Spatial index for detectConflicts
+const GRID_MIN_AIRCRAFT = 16; // Below this, testing every pair is cheaper than building the grid
+const GRID_CELL_SPEED_KTS = 400; // Cells are about as wide as such an aircraft flies in the lookahead
+const GRID_MAX_CELLS_PER_AIRCRAFT = 256;
+const GRID_PAD_EPSILON_KM = 1e-6; // Keeps rounding from splitting pairs right at the separation
+const GRID_KEY_OFFSET = 32768; // Cell coordinates and altitude band are packed into one number
+const GRID_KEY_SPAN = 65536;
+
+/**
+ * Ground velocity of an aircraft: its true airspeed along its heading plus the wind.
+ * @param {number} headingDeg - Heading in degrees.
+ * @param {number} tasKts - True airspeed in knots.
+ * @param {{dirDeg: number, speedKts: number}} [wind] - Wind as reported, dirDeg being where it blows from.
+ * @returns {{x: number, y: number, speedKts: number, trackDeg: number}} - x/y in knots (east/north),
+ *   ground speed and track.
+ */
+export function groundVelocity(headingDeg, tasKts, wind){
+  const headingRad = headingDeg * Math.PI / 180;
+  // For navigational bearings (0=N, 90=E): x uses sin, y uses cos.
+  let x = Math.sin(headingRad) * tasKts;
+  let y = Math.cos(headingRad) * tasKts;
+  if (wind && wind.speedKts > 0) {
+    // The air moves away from the direction the wind blows from
+    const windRad = wind.dirDeg * Math.PI / 180;
+    x -= Math.sin(windRad) * wind.speedKts;
+    y -= Math.cos(windRad) * wind.speedKts;
+  }
+  return { x, y, speedKts: Math.hypot(x, y), trackDeg: (Math.atan2(x, y) * 180 / Math.PI + 360) % 360 };
+}
 
 /**
  * Integrates an aircraft's position over a time delta (dt).
- * This function now correctly uses navigational bearings (0° is North).
- * @param {Aircraft} aircraft - The aircraft object.
+ * @param {Aircraft} aircraft - The aircraft object (posKm, heading, speedKts as true airspeed).
  * @param {number} dt - Delta time in seconds.
- * @param {Object} env - Environment data (e.g., wind).
+ * @param {{dirDeg: number, speedKts: number}} [wind] - Wind at the aircraft's altitude.
  * @returns {Object} - New position {x, y}.
  */
-export function integratePosition(aircraft, dt, env){
-  const speedKms = aircraft.speedKts * KNOTS_TO_KMS; // Convert speed from knots to km/s
-  const headingRad = aircraft.heading * Math.PI / 180; // Convert heading to radians
+export function integratePosition(aircraft, dt, wind){
+  const v = groundVelocity(aircraft.heading, aircraft.speedKts, wind);
+  return { x: aircraft.posKm.x + v.x * KNOTS_TO_KMS * dt, y: aircraft.posKm.y + v.y * KNOTS_TO_KMS * dt };
+}
 
-  // For navigational bearings (0=N, 90=E): vx uses sin, vy uses cos.
-  let dx = Math.sin(headingRad) * speedKms * dt;
-  let dy = Math.cos(headingRad) * speedKms * dt;
+/**
+ * Heading to fly to make good a course in a crosswind.
+ * @param {number} courseDeg - Desired track.
+ * @param {number} tasKts - True airspeed.
+ * @param {{dirDeg: number, speedKts: number}} [wind] - Wind as reported.
+ * @returns {number} - Wind correction angle in degrees, positive to the right of the course.
+ */
+export function windCorrectionDeg(courseDeg, tasKts, wind){
+  if (!wind || wind.speedKts <= 0 || tasKts <= 0) return 0;
+  const crosswind = wind.speedKts * Math.sin((wind.dirDeg - courseDeg) * Math.PI / 180);
+  return Math.asin(Math.max(-1, Math.min(1, crosswind / tasKts))) * 180 / Math.PI;
+}
 
-  // Apply wind effect (wind direction is also navigational)
-  if (env.wind && env.wind.speedKts > 0) {
-    const windSpeedKms = env.wind.speedKts * KNOTS_TO_KMS;
-    const windHeadingRad = env.wind.dirDeg * Math.PI / 180;
-    dx += Math.sin(windHeadingRad) * windSpeedKms * dt;
-    dy += Math.cos(windHeadingRad) * windSpeedKms * dt;
-  }
+/**
+ * Angle to turn from one heading to another.
+ * @param {number} fromDeg
+ * @param {number} toDeg
+ * @param {string} [direction] - 'L' or 'R' to force the turn direction; shortest way if omitted.
+ * @returns {number} - Degrees, positive to the right.
+ */
+export function turnAngleDeg(fromDeg, toDeg, direction){
+  if (direction === 'R') return (toDeg - fromDeg + 360) % 360;
+  if (direction === 'L') return -((fromDeg - toDeg + 360) % 360);
+  return ((toDeg - fromDeg + 540) % 360) - 180;
+}
 
-  return { x: aircraft.posKm.x + dx, y: aircraft.posKm.y + dy };
+/**
+ * Rate of turn of a coordinated turn: g * tan(bank) / TAS.
+ * @param {number} speedKts - True airspeed.
+ * @param {number} bankDeg - Bank angle, positive to the right.
+ * @returns {number} - Degrees per second, positive to the right.
+ */
+export function turnRateDegPerSec(speedKts, bankDeg){
+  return G_KTS_PER_SEC * Math.tan(bankDeg * Math.PI / 180) / Math.max(speedKts, 1) * 180 / Math.PI;
 }
 
 /**
- * Computes the new heading for an aircraft turning towards a target.
- * @param {Aircraft} ac - The aircraft object.
+ * Bank angle a full turn is flown at: the profile's maximum bank, or less
+ * where that would turn faster than the profile's rate limit (standard rate
+ * unless the profile says otherwise), as it does at low speed.
+ * @param {number} speedKts - True airspeed.
+ * @param {Object} profile - The aircraft's performance profile.
+ * @returns {number} - Degrees.
+ */
+export function turnBankDeg(speedKts, profile){
+  const maxRate = (profile.turnRateDegPerSec || STANDARD_RATE_DEG_PER_SEC) * Math.PI / 180;
+  const rateLimitedBank = Math.atan(maxRate * Math.max(speedKts, 1) / G_KTS_PER_SEC) * 180 / Math.PI;
+  return Math.min(profile.maxBankDeg || DEFAULT_MAX_BANK_DEG, rateLimitedBank);
+}
+
+/**
+ * Computes the new heading and bank for an aircraft turning towards a target.
+ * The aircraft rolls in at the profile's roll rate up to turnBankDeg, turns at
+ * the rate that bank gives at its true airspeed, and rolls out as the target
+ * heading comes up, so a fast aircraft turns slowly and widely.
+ * @param {Aircraft} ac - The aircraft object (heading, bankDeg, speedKts as true airspeed).
  * @param {number} targetHeading - The target heading in degrees.
  * @param {number} dt - Delta time in seconds.
  * @param {Object} profile - The aircraft's performance profile.
- * @returns {number} - The new heading in degrees.
+ * @param {string} [direction] - 'L' or 'R' to force the turn direction; shortest way if omitted.
+ * @returns {{heading: number, bankDeg: number}} - The new heading in degrees and bank angle, positive to the right.
  */
-export function computeTurn(ac, targetHeading, dt, profile){
+export function computeTurn(ac, targetHeading, dt, profile, direction){
   const from = ac.heading;
   const to = (targetHeading + 360) % 360;
-  // Calculate the shortest angle between the two headings
-  let d = ((to - from + 540) % 360) - 180;
-  const maxTurn = (profile.turnRateDegPerSec || 3) * dt;
-  if (Math.abs(d) <= maxTurn) return to;
-  return (from + Math.sign(d) * maxTurn + 360) % 360;
+  const bank = ac.bankDeg || 0;
+  const maxRoll = (profile.rollRateDegPerSec || DEFAULT_ROLL_RATE_DEG_PER_SEC) * dt;
+  const rollTowards = (wanted) => bank + Math.max(-maxRoll, Math.min(maxRoll, wanted - bank));
+  // At the target heading only the roll-out is left
+  if (Math.abs(turnAngleDeg(from, to)) < HEADING_CAPTURE_DEG) return { heading: to, bankDeg: rollTowards(0) };
+  const d = turnAngleDeg(from, to, direction);
+  const bankDeg = rollTowards(Math.sign(d) * Math.min(turnBankDeg(ac.speedKts, profile), Math.abs(d) * BANK_PER_DEG_TO_GO));
+  const turn = turnRateDegPerSec(ac.speedKts, bankDeg) * dt;
+  if (Math.sign(turn) === Math.sign(d) && Math.abs(turn) >= Math.abs(d)) return { heading: to, bankDeg };
+  return { heading: (from + turn + 360) % 360, bankDeg };
 }
 
 /**
- * Computes the new speed for an aircraft accelerating/decelerating.
+ * Computes the new speed for an aircraft accelerating/decelerating. Thin air
+ * leaves less thrust, so the acceleration falls off with density; slowing down
+ * does not.
  * @param {Aircraft} ac - The aircraft object.
- * @param {number} targetSpeed - The target speed in knots.
+ * @param {number} targetSpeed - The target true airspeed in knots.
  * @param {number} dt - Delta time in seconds.
  * @param {Object} profile - The aircraft's performance profile.
+ * @param {number} [densityRatio=1] - Air density at the aircraft over sea level density.
  * @returns {number} - The new speed in knots.
  */
-export function computeSpeedChange(ac, targetSpeed, dt, profile){
+export function computeSpeedChange(ac, targetSpeed, dt, profile, densityRatio = 1){
   if (typeof targetSpeed === 'undefined') return ac.speedKts;
   const diff = targetSpeed - ac.speedKts;
-  const accel = diff > 0 ? profile.accel : profile.decel;
+  const accel = diff > 0 ? profile.accel * Math.pow(densityRatio, THRUST_LAPSE_EXPONENT) : profile.decel;
   const change = Math.sign(diff) * Math.min(Math.abs(diff), accel * dt);
   return ac.speedKts + change;
 }
 
 /**
- * Computes the new altitude for a climbing/descending aircraft.
+ * Climb and descent rates of a profile's altitude band at an altitude; above
+ * the top band the top one applies.
+ * @param {Object} profile - A profile with verticalRates (see aircrafttypes.js).
+ * @param {number} altitudeFt
+ * @returns {{upToFt: number, climbFpm: number, descentFpm: number}}
+ */
+function verticalRateBand(profile, altitudeFt){
+  const bands = profile.verticalRates;
+  return bands.find(b => altitudeFt < b.upToFt) || bands[bands.length - 1];
+}
+
+/**
+ * Best rate of climb at an altitude: the rate of the profile's altitude band,
+ * or for a profile without bands its maxClimb at sea level falling linearly.
+ * Either way there is no climb at the service ceiling.
+ * @param {Object} profile - The aircraft's performance profile.
+ * @param {number} altitudeFt
+ * @returns {number} - Feet per minute.
+ */
+export function climbRateFpm(profile, altitudeFt){
+  if (profile.ceilingFt && altitudeFt >= profile.ceilingFt) return 0;
+  if (profile.verticalRates) return verticalRateBand(profile, altitudeFt).climbFpm;
+  const max = profile.maxClimb || 2000;
+  if (!profile.ceilingFt) return max;
+  return max * (1 - altitudeFt / profile.ceilingFt);
+}
+
+/**
+ * Rate of descent at an altitude: the rate of the profile's altitude band, or maxClimb.
+ * @param {Object} profile - The aircraft's performance profile.
+ * @param {number} altitudeFt
+ * @returns {number} - Feet per minute.
+ */
+export function descentRateFpm(profile, altitudeFt){
+  if (profile.verticalRates) return verticalRateBand(profile, altitudeFt).descentFpm;
+  return profile.maxClimb || 2000;
+}
+
+/**
+ * Computes the new altitude for a climbing/descending aircraft at the
+ * profile's rates for its altitude (see climbRateFpm and descentRateFpm).
  * @param {Aircraft} ac - The aircraft object.
  * @param {number} targetAlt - The target altitude in feet.
  * @param {number} dt - Delta time in seconds.
  * @param {Object} profile - The aircraft's performance profile.
+ * @param {number} [maxRateFpm=Infinity] - Limit on the vertical speed either way.
+ * @param {number} [rateFactor=1] - Multiplies the profile's rates, e.g. for an expedited climb.
  * @returns {number} - The new altitude in feet.
  */
-export function computeAltitudeChange(ac, targetAlt, dt, profile){
+export function computeAltitudeChange(ac, targetAlt, dt, profile, maxRateFpm = Infinity, rateFactor = 1){
   if (typeof targetAlt === 'undefined') return ac.altitudeFt;
   const diff = targetAlt - ac.altitudeFt;
-  const max = profile.maxClimb || 2000; // fpm
+  const rate = rateFactor * (diff > 0 ? climbRateFpm(profile, ac.altitudeFt) : descentRateFpm(profile, ac.altitudeFt));
+  const max = Math.min(rate, maxRateFpm); // fpm
   const change = Math.sign(diff) * Math.min(Math.abs(diff), (max / 60) * dt); // dt is in seconds, so convert fpm to fps
   return ac.altitudeFt + change;
 }
 
+/**
+ * Computes the radius of a full turn (flown at turnBankDeg).
+ * @param {number} speedKts - True airspeed in knots.
+ * @param {Object} profile - The aircraft's performance profile.
+ * @returns {number} - Turn radius in km.
+ */
+export function turnRadiusKm(speedKts, profile){
+  const rateRadPerSec = turnRateDegPerSec(speedKts, turnBankDeg(speedKts, profile)) * Math.PI / 180;
+  return (speedKts * KNOTS_TO_KMS) / rateRadPerSec;
+}
+
 /**
  * Calculates the distance between two points in kilometers.
  * @param {Object} p1 - Point 1 {x, y}.
@@ -114,43 +254,151 @@ export function bearingTo(p1, p2){
 
 /**
  * Detects potential conflicts between aircraft using CPA (Closest Point of Approach).
+ * Above GRID_MIN_AIRCRAFT aircraft, a uniform grid over each aircraft's swept path
+ * picks the pairs worth testing; the result is identical to the brute-force version.
  * @param {Array<Aircraft>} list - The list of all aircraft.
  * @returns {Array<Object>} - A list of conflict objects.
  */
 export function detectConflicts(list, lookaheadTime = 300, lateralSepKm = 5, verticalSepFt = 1000){
+  if (list.length < GRID_MIN_AIRCRAFT) return detectConflictsBruteForce(list, lookaheadTime, lateralSepKm, verticalSepFt);
+  const out = [];
+  for (const [i, j] of gridCandidatePairs(list, lookaheadTime, lateralSepKm, verticalSepFt)) {
+    const c = conflictBetween(list[i], list[j], lookaheadTime, lateralSepKm, verticalSepFt);
+    if (c) out.push(c);
+  }
+  return out;
+}
+
+/**
+ * Reference version of detectConflicts that tests every pair.
+ * @param {Array<Aircraft>} list - The list of all aircraft.
+ * @returns {Array<Object>} - A list of conflict objects.
+ */
+export function detectConflictsBruteForce(list, lookaheadTime = 300, lateralSepKm = 5, verticalSepFt = 1000){
+  const out = [];
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      const c = conflictBetween(list[i], list[j], lookaheadTime, lateralSepKm, verticalSepFt);
+      if (c) out.push(c);
+    }
+  }
+  return out;
+}
+
+/**
+ * CPA test of one pair.
+ * @returns {Object|null} - { a, b, ttc, distAtCPA } if the pair will lose separation within the lookahead.
+ */
+function conflictBetween(a, b, lookaheadTime, lateralSepKm, verticalSepFt){
+  // Relative position
+  const relX = b.posKm.x - a.posKm.x;
+  const relY = b.posKm.y - a.posKm.y;
+
+  // Relative velocity
+  const va = velocityKmPerSec(a);
+  const vb = velocityKmPerSec(b);
+  const rvx = vb.vx - va.vx;
+  const rvy = vb.vy - va.vy;
+
+  // Time to closest point of approach (TCA)
+  const r2 = rvx * rvx + rvy * rvy;
+  if (r2 === 0) return null; // No relative velocity, no collision course
+  const tca = -(relX * rvx + relY * rvy) / r2;
+
+  // Ignore conflicts in the past or too far in the future
+  if (tca < 0 || tca > lookaheadTime) return null;
+
+  // Position at TCA
+  const caX = relX + rvx * tca;
+  const caY = relY + rvy * tca;
+  const distAtCPA = Math.sqrt(caX * caX + caY * caY);
+  const altDiff = Math.abs(a.altitudeFt - b.altitudeFt);
+
+  // Check if separation minima are violated
+  if (distAtCPA < lateralSepKm && altDiff < verticalSepFt) return { a, b, ttc: tca, distAtCPA };
+  return null;
+}
+
+/**
+ * Pairs that could come within both minima of each other during the lookahead.
+ * Each aircraft's path over the lookahead is a straight segment; its bounding box,
+ * grown by half the lateral separation, is entered in every grid cell it touches,
+ * in its own altitude band (one vertical separation high) and the band above. Two
+ * aircraft that can get closer than the separation have boxes that overlap, and
+ * if they are also within the vertical separation they share a band, so they
+ * share a cell. An aircraft whose box would cover too many cells (very fast
+ * traffic) is tested against everyone instead.
+ * @returns {Array<Array<number>>} - Index pairs [i, j], i < j, in brute-force order.
+ */
+function gridCandidatePairs(list, lookaheadTime, lateralSepKm, verticalSepFt){
+  const n = list.length;
+  const pad = lateralSepKm / 2 + GRID_PAD_EPSILON_KM;
+  const cellKm = lateralSepKm + lookaheadTime * GRID_CELL_SPEED_KTS * KNOTS_TO_KMS;
+  const cells = new Map(); // Key: packed cell coordinates and band, Value: aircraft indices, ascending
+  const cellsOf = new Array(n); // Keys of the cells each aircraft is in, null if too spread out
+  const wide = []; // Indices of aircraft too spread out to index, ascending
+  for (let i = 0; i < n; i++) {
+    const ac = list[i];
+    const v = velocityKmPerSec(ac);
+    const endX = ac.posKm.x + v.vx * lookaheadTime;
+    const endY = ac.posKm.y + v.vy * lookaheadTime;
+    const cx0 = Math.floor((Math.min(ac.posKm.x, endX) - pad) / cellKm);
+    const cx1 = Math.floor((Math.max(ac.posKm.x, endX) + pad) / cellKm);
+    const cy0 = Math.floor((Math.min(ac.posKm.y, endY) - pad) / cellKm);
+    const cy1 = Math.floor((Math.max(ac.posKm.y, endY) + pad) / cellKm);
+    if ((cx1 - cx0 + 1) * (cy1 - cy0 + 1) > GRID_MAX_CELLS_PER_AIRCRAFT) { cellsOf[i] = null; wide.push(i); continue; }
+    const band = Math.floor(ac.altitudeFt / verticalSepFt) + GRID_KEY_OFFSET;
+    const keys = [];
+    for (let cx = cx0; cx <= cx1; cx++) {
+      for (let cy = cy0; cy <= cy1; cy++) {
+        const column = ((cx + GRID_KEY_OFFSET) * GRID_KEY_SPAN + (cy + GRID_KEY_OFFSET)) * GRID_KEY_SPAN;
+        keys.push(column + band, column + band + 1);
+      }
+    }
+    for (const key of keys) {
+      const members = cells.get(key);
+      if (members) members.push(i);
+      else cells.set(key, [i]);
+    }
+    cellsOf[i] = keys;
+  }
+
+  const pairs = [];
+  const seenBy = new Int32Array(n).fill(-1); // Last i that collected j, to skip repeats
+  for (let i = 0; i < n; i++) {
+    const partners = [];
+    const collect = (j) => {
+      if (j > i && seenBy[j] !== i) { seenBy[j] = i; partners.push(j); }
+    };
+    if (cellsOf[i] === null) {
+      for (let j = i + 1; j < n; j++) collect(j);
+    } else {
+      for (const key of cellsOf[i]) for (const j of cells.get(key)) collect(j);
+      for (const j of wide) collect(j);
+    }
+    partners.sort((x, y) => x - y);
+    for (const j of partners) pairs.push([i, j]);
+  }
+  return pairs;
+}
+
+/**
+ * Finds pairs of aircraft that are inside both separation minima right now.
+ * @param {Array<Aircraft>} list - The list of all aircraft.
+ * @param {number} [lateralSepKm=5] - Lateral separation minimum.
+ * @param {number} [verticalSepFt=1000] - Vertical separation minimum.
+ * @returns {Array<Object>} - { a, b, lateralKm, verticalFt } for each pair.
+ */
+export function detectSeparationLoss(list, lateralSepKm = 5, verticalSepFt = 1000){
   const out = [];
   for (let i = 0; i < list.length; i++) {
     for (let j = i + 1; j < list.length; j++) {
       const a = list[i];
       const b = list[j];
-
-      // Relative position
-      const relX = b.posKm.x - a.posKm.x;
-      const relY = b.posKm.y - a.posKm.y;
-
-      // Relative velocity
-      const va = velocityKmPerSec(a);
-      const vb = velocityKmPerSec(b);
-      const rvx = vb.vx - va.vx;
-      const rvy = vb.vy - va.vy;
-
-      // Time to closest point of approach (TCA)
-      const r2 = rvx * rvx + rvy * rvy;
-      if (r2 === 0) continue; // No relative velocity, no collision course
-      const tca = -(relX * rvx + relY * rvy) / r2;
-
-      // Ignore conflicts in the past or too far in the future
-      if (tca < 0 || tca > lookaheadTime) continue;
-
-      // Position at TCA
-      const caX = relX + rvx * tca;
-      const caY = relY + rvy * tca;
-      const distAtCPA = Math.sqrt(caX * caX + caY * caY);
-      const altDiff = Math.abs(a.altitudeFt - b.altitudeFt);
-
-      // Check if separation minima are violated
-      if (distAtCPA < lateralSepKm && altDiff < verticalSepFt) {
-        out.push({ a, b, ttc: tca, distAtCPA });
+      const lateralKm = distanceKm(a.posKm, b.posKm);
+      const verticalFt = Math.abs(a.altitudeFt - b.altitudeFt);
+      if (lateralKm < lateralSepKm && verticalFt < verticalSepFt) {
+        out.push({ a, b, lateralKm, verticalFt });
       }
     }
   }
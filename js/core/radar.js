@@ -1,10 +1,19 @@
 /**
  * Module: radar.js
  * Purpose: Manages the radar station's properties, sweep animation, and target detection logic.
- * Calculates which aircraft are within range and field of view, providing data for display.
- * Interactions: Receives aircraft data from simulation.js, sends tracked targets to display.js.
+ * Each time the beam sweeps across an aircraft the radar decides whether it is detected
+ * (instrumented range, radar horizon, cone of silence overhead, probability of detection
+ * falling off with range) and, if so, produces a plot: a position measured with range and
+ * bearing errors. The secondary radar adds what the aircraft's transponder replies (code,
+ * Mode C altitude, ident); without a reply the plot is primary-only.
+ * Interactions: Receives aircraft from simulation.js, hands its plots to tracker.js.
  * @module Radar
  */
+import { RADAR_CONFIG } from '../config.js';
+import * as Physics from './physics.js';
+
+const FT_PER_KM = 3280.84;
+const RADAR_HORIZON_K = 4.12; // km per sqrt(m), 4/3 effective earth radius
 
 /**
  * Class representing the radar station.
@@ -17,14 +26,32 @@ export class Radar {
    * @param {number} y - Radar y-coordinate (km).
    * @param {number} range - Detection range (km).
    * @param {number} sweepSpeed - Sweep rotation speed (degrees/second).
+   * @param {Object} [opts] - Detection model, defaults from RADAR_CONFIG.
    */
-  constructor(x = 0, y = 0, range = 100, sweepSpeed = 60) {
+  constructor(x = 0, y = 0, range = 100, sweepSpeed = 60, opts = {}) {
     this.x = x;
     this.y = y;
     this.range = range;
     this.sweepSpeed = sweepSpeed;
     this.sweepAngle = 0; // Current sweep angle (degrees)
-    this.trackedTargets = new Map(); // Key: aircraft.id, Value: { state, lastSeen }
+    this.detection = { ...RADAR_CONFIG, ...opts };
+    this.rng = null; // Random source for missed hits and measurement errors, see reset()
+    this.scan = 0; // Number of completed antenna revolutions
+  }
+
+  /**
+   * Restarts the sweep.
+   * @param {Random} [rng] - Random source for missed hits and measurement errors. Math.random if omitted.
+   */
+  reset(rng = null) {
+    this.rng = rng;
+    this.sweepAngle = 0;
+    this.scan = 0;
+  }
+
+  /** @returns {number} - Seconds per antenna revolution. */
+  get scanPeriod() {
+    return 360 / this.sweepSpeed;
   }
 
   /**
@@ -32,7 +59,110 @@ export class Radar {
    * @param {number} deltaTime - Time since last update (seconds).
    */
   updateSweep(deltaTime) {
-    this.sweepAngle = (this.sweepAngle + this.sweepSpeed * deltaTime) % 360;
+    const next = this.sweepAngle + this.sweepSpeed * deltaTime;
+    if (next >= 360) this.scan++;
+    this.sweepAngle = next % 360;
+  }
+
+  /**
+   * Advances the sweep and looks for aircraft inside the sector it swept.
+   * @param {number} deltaTime - Time since last update (seconds).
+   * @param {Array<Aircraft>} aircraft - All aircraft in the simulation.
+   * @param {number} time - Simulation time at the end of the step (seconds).
+   * @returns {Array<Object>} - Plots of the targets detected during this step.
+   */
+  update(deltaTime, aircraft, time) {
+    const from = this.sweepAngle;
+    const sweptDeg = Math.min(360, this.sweepSpeed * deltaTime);
+    this.updateSweep(deltaTime);
+
+    const plots = [];
+    for (const ac of aircraft) {
+      const bearing = Physics.bearingTo({ x: this.x, y: this.y }, ac.posKm);
+      if ((bearing - from + 360) % 360 >= sweptDeg) continue; // Beam not on the target this step
+      if (this._detect(ac)) plots.push(this._plot(ac, time));
+    }
+    return plots;
+  }
+
+  /**
+   * Geometric coverage of an aircraft, independent of chance.
+   * @param {Aircraft} ac
+   * @returns {{covered: boolean, reason: string|null, rangeKm: number}} - reason: 'range', 'horizon' or 'cone'.
+   */
+  coverage(ac) {
+    const groundKm = Physics.distanceKm({ x: this.x, y: this.y }, ac.posKm);
+    const heightKm = Math.max(0, ac.altitudeFt / FT_PER_KM - this.detection.antennaHeightM / 1000);
+    const rangeKm = Math.hypot(groundKm, heightKm);
+    if (rangeKm > this.range) return { covered: false, reason: 'range', rangeKm };
+    const horizonKm = RADAR_HORIZON_K * (Math.sqrt(this.detection.antennaHeightM) + Math.sqrt(Math.max(0, ac.altitudeFt / FT_PER_KM * 1000)));
+    if (groundKm > horizonKm) return { covered: false, reason: 'horizon', rangeKm };
+    const elevationDeg = Math.atan2(heightKm, groundKm) * 180 / Math.PI;
+    if (elevationDeg > this.detection.coneOfSilenceDeg) return { covered: false, reason: 'cone', rangeKm };
+    return { covered: true, reason: null, rangeKm };
+  }
+
+  /**
+   * Probability of detecting a target on one hit, falling off towards the range limit.
+   * @param {number} rangeKm - Slant range.
+   * @returns {number} - 0..1
+   */
+  detectionProbability(rangeKm) {
+    if (rangeKm >= this.range) return 0;
+    const { pdMax, pdFalloffExponent } = this.detection;
+    return pdMax * (1 - Math.pow(rangeKm / this.range, pdFalloffExponent));
+  }
+
+  /** @private */
+  _detect(ac) {
+    const cov = this.coverage(ac);
+    if (!cov.covered) return false;
+    if (!this.detection.missedHits) return true;
+    return this._random() < this.detectionProbability(cov.rangeKm);
+  }
+
+  /** @private */
+  _random() {
+    return this.rng ? this.rng.next() : Math.random();
+  }
+
+  /**
+   * Measures the position of a detected aircraft, with range and bearing errors.
+   * @private
+   */
+  _measure(ac) {
+    const gauss = (sigma) => sigma * Math.sqrt(-2 * Math.log(1 - this._random())) * Math.cos(2 * Math.PI * this._random());
+    const site = { x: this.x, y: this.y };
+    const rangeKm = Math.max(0, Physics.distanceKm(site, ac.posKm) + gauss(this.detection.rangeErrorKm));
+    const rad = (Physics.bearingTo(site, ac.posKm) + gauss(this.detection.azimuthErrorDeg)) * Math.PI / 180;
+    return { x: this.x + Math.sin(rad) * rangeKm, y: this.y + Math.cos(rad) * rangeKm };
+  }
+
+  /**
+   * What the radar saw of an aircraft on this hit.
+   * @private
+   * @returns {Object} - Plot: posKm, time, scan, primaryOnly, ssr (transponder reply or null),
+   *   the Mode C altitude from the reply, the callsign, type and wake category of the flight
+   *   plan the code correlates with, and any TCAS advisory. aircraftId names the aircraft that
+   *   produced it, for the instructor's selection highlight only; the tracker never correlates on it.
+   */
+  _plot(ac, time) {
+    const plot = { aircraftId: ac.id, posKm: this._measure(ac), time, scan: this.scan };
+    const ssr = ac.transponder.reply(ac.altitudeFt);
+    // Primary-only: a position, nothing the aircraft tells us
+    if (!ssr) return { ...plot, callsign: null, type: null, wake: null, tcas: null, altitudeFt: null, primaryOnly: true, ssr: null };
+    // Heading, speed and history come from the track; everything else the aircraft knows stays with it
+    const { callsign, type, wake } = ac.toFlightData();
+    return {
+      ...plot,
+      callsign,
+      type,
+      wake,
+      tcas: ac.tcas.advisory ? { ...ac.tcas } : null, // Resolution advisories are downlinked to the ground
+      altitudeFt: ssr.altitudeFt,
+      primaryOnly: false,
+      ssr,
+    };
   }
 
   /**
@@ -45,7 +175,7 @@ export class Radar {
 
   /**
    * Returns radar state for rendering.
-   * @returns {Object} - Radar properties (x, y, range, sweepAngle, trackedTargets).
+   * @returns {Object} - Radar properties (x, y, range, sweepAngle, scan).
    */
   getState() {
     return {
@@ -53,7 +183,7 @@ export class Radar {
       y: this.y,
       range: this.range,
       sweepAngle: this.sweepAngle,
-      // trackedTargets is no longer used for rendering aircraft
+      scan: this.scan,
     };
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,61 @@
+/**
+ * Module: random.js
+ *
+ * A small seedable pseudo-random number generator (mulberry32). The simulation
+ * draws every random value from one of these instead of Math.random(), so that a
+ * run started from the same seed produces exactly the same traffic picture.
+ */
+
+/**
+ * Returns a fresh seed for runs where none was given. This is the only place
+ * where non-deterministic input enters the simulation.
+ * @returns {number} - A 32-bit unsigned integer seed.
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Seeded random number generator.
+ * @class
+ */
+export class Random {
+  /**
+   * @param {number} seed - Any integer; it is reduced to 32 bits.
+   */
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Returns the next float in [0, 1), like Math.random().
+   * @returns {number}
+   */
+  next() {
+    let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Returns a float in [min, max).
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Returns an integer in [min, max] (inclusive).
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  int(min, max) {
+    return Math.floor(this.range(min, max + 1));
+  }
+}
@@ -0,0 +1,376 @@
+/**
+ * Module: scenario.js
+ *
+ * Exercise & Scenario Module. Defines the JSON exercise format, validates
+ * scenario files (reporting every problem by its path, e.g. "aircraft[2].heading"),
+ * and starts a Simulation from a validated scenario. Scripted events are run by
+ * events.js. Contains no DOM code; the only browser-ish dependency is fetch()
+ * in fetchScenario().
+ */
+import { AIRCRAFT_PROFILES } from '../config.js';
+import { TRANSPONDER_MODES, isValidCode } from './transponder.js';
+import { TURBULENCE_LEVELS } from './environment.js';
+
+/**
+ * A position. One of: local km from the radar head {x, y}; true bearing and
+ * range from the radar {bearingDeg, rangeKm}; geographic {lat, lon}; or a
+ * magnetic radial and DME distance from the radar head {radialDeg, dmeNm}.
+ * @typedef {({x: number, y: number}|{bearingDeg: number, rangeKm: number}|{lat: number, lon: number}|{radialDeg: number, dmeNm: number})} ScenarioPosition
+ */
+
+/**
+ * An aircraft as it appears in a scenario file.
+ * @typedef {Object} ScenarioAircraft
+ * @property {string} callsign - Unique callsign, e.g. "BG147".
+ * @property {string} [type='generic'] - A type designator: a built-in profile or one of data/aircraft-types.json.
+ * @property {ScenarioPosition} position - Initial position.
+ * @property {number} heading - Initial heading in degrees (0-360).
+ * @property {number} speedKts - Initial true airspeed in knots. The aircraft holds it as IAS, or as Mach above FL290.
+ * @property {number} altitudeFt - Initial altitude in feet.
+ * @property {ScenarioFlightPlan} [flightPlan] - Route to follow.
+ * @property {boolean} [ownNav=true] - Start on own navigation along the route (false: wait for vectors).
+ * @property {string} [squawk] - Mode A code, four digits 0-7. A discrete code is assigned if omitted.
+ * @property {string} [transponderMode='C'] - One of off, standby, A, C.
+ */
+
+/**
+ * A flight plan as written in a scenario file. Route entries are fix names from
+ * data/fixes.json, or objects with restrictions to fly towards that fix.
+ * @typedef {Object} ScenarioFlightPlan
+ * @property {string} [departure] - e.g. "VGHS".
+ * @property {string} [destination] - e.g. "VGEG".
+ * @property {number} [cruiseAltitudeFt] - Filed cruise level.
+ * @property {Array<(string|{fix: string, altitudeFt?: number, speedKts?: number})>} route - speedKts is an IAS.
+ */
+
+/**
+ * A timed spawn: the aircraft enters the exercise `at` seconds after start.
+ * @typedef {Object} ScenarioSpawn
+ * @property {number} at - Simulation time in seconds.
+ * @property {ScenarioAircraft} aircraft - The aircraft to spawn.
+ */
+
+/**
+ * A scripted event. Exactly one of `at` and `when` must be given.
+ * @typedef {Object} ScenarioEvent
+ * @property {string} [label] - Short name shown in the log, e.g. "Wind shift".
+ * @property {number} [at] - Fire at this simulation time (seconds).
+ * @property {{callsign: string, altitudeBelowFt?: number, altitudeAboveFt?: number, rangeBelowKm?: number}} [when]
+ *   - Fire the first time all given conditions hold for the aircraft.
+ * @property {ScenarioAction} do - What happens.
+ */
+
+/**
+ * An event action, one of:
+ *   { type: 'spawn', aircraft: ScenarioAircraft }
+ *   { type: 'wind', dirDeg, speedKts, altitudeFt? }   - altitudeFt: the layer to change, surface if omitted
+ *   { type: 'command', callsign, command }   - command text as typed, e.g. "H 270 A 5"
+ *   { type: 'emergency', callsign, kind? }   - kind e.g. "engine failure"
+ * @typedef {Object} ScenarioAction
+ */
+
+/**
+ * The weather of an exercise. `wind`, if also given, sets the surface layer.
+ * @typedef {Object} ScenarioEnvironment
+ * @property {Array<{altitudeFt: number, dirDeg: number, speedKts: number}>} [windLayers] - Interpolated between altitudes.
+ * @property {number} [gustKts=0] - Largest gust above the steady wind.
+ * @property {string} [turbulence='none'] - One of none, light, moderate, severe.
+ * @property {number} [qnhHpa=1013.25] - Sea level pressure.
+ * @property {number} [temperatureC=15] - Sea level temperature.
+ */
+
+/**
+ * The exercise file.
+ * @typedef {Object} Scenario
+ * @property {string} name - Display name of the exercise.
+ * @property {string} [description] - Briefing text.
+ * @property {number} [seed] - PRNG seed; the current seed is kept if omitted.
+ * @property {{rangeKm?: number, sweepRateDps?: number}} [radar] - Radar configuration.
+ * @property {{dirDeg: number, speedKts: number}} [wind] - Surface wind.
+ * @property {ScenarioEnvironment} [environment] - Upper winds and the rest of the weather.
+ * @property {Array<ScenarioAircraft>} [aircraft] - Traffic present at T+0.
+ * @property {Array<ScenarioSpawn>} [spawns] - Traffic that enters later (shorthand for spawn events).
+ * @property {Array<ScenarioEvent>} [events] - Scripted events.
+ */
+
+export const EVENT_ACTIONS = ['spawn', 'wind', 'command', 'emergency'];
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * Collects validation errors with their JSON path.
+ * @private
+ */
+class ErrorList {
+  constructor() { this.errors = []; }
+  add(path, message) { this.errors.push({ path, message }); }
+  number(obj, key, path, { min = -Infinity, max = Infinity, optional = false } = {}) {
+    const v = obj[key];
+    if (v === undefined && optional) return;
+    if (!isNumber(v)) this.add(`${path}.${key}`, 'must be a number');
+    else if (v < min || v > max) this.add(`${path}.${key}`, `must be between ${min} and ${max}`);
+  }
+}
+
+function validatePosition(pos, path, errs) {
+  if (!pos || typeof pos !== 'object') return errs.add(path, 'must be an object');
+  if ('x' in pos || 'y' in pos) {
+    errs.number(pos, 'x', path);
+    errs.number(pos, 'y', path);
+  } else if ('bearingDeg' in pos || 'rangeKm' in pos) {
+    errs.number(pos, 'bearingDeg', path, { min: 0, max: 360 });
+    errs.number(pos, 'rangeKm', path, { min: 0 });
+  } else if ('lat' in pos || 'lon' in pos) {
+    errs.number(pos, 'lat', path, { min: -90, max: 90 });
+    errs.number(pos, 'lon', path, { min: -180, max: 180 });
+  } else if ('radialDeg' in pos || 'dmeNm' in pos) {
+    errs.number(pos, 'radialDeg', path, { min: 0, max: 360 });
+    errs.number(pos, 'dmeNm', path, { min: 0 });
+  } else {
+    errs.add(path, 'must have one of x/y, bearingDeg/rangeKm, lat/lon or radialDeg/dmeNm');
+  }
+}
+
+function validateFlightPlan(fp, path, errs, navdata) {
+  if (!fp || typeof fp !== 'object') return errs.add(path, 'must be an object');
+  ['departure', 'destination'].forEach(k => {
+    if (fp[k] !== undefined && typeof fp[k] !== 'string') errs.add(`${path}.${k}`, 'must be a string');
+  });
+  errs.number(fp, 'cruiseAltitudeFt', path, { min: 0, optional: true });
+  if (!Array.isArray(fp.route) || fp.route.length === 0) return errs.add(`${path}.route`, 'must be a non-empty array');
+  fp.route.forEach((entry, i) => {
+    const entryPath = `${path}.route[${i}]`;
+    const name = typeof entry === 'string' ? entry : entry?.fix;
+    if (typeof name !== 'string') return errs.add(entryPath, 'must be a fix name or { fix, altitudeFt?, speedKts? }');
+    if (navdata && !navdata.get(name)) errs.add(entryPath, `unknown fix ${name}`);
+    if (typeof entry === 'object') {
+      errs.number(entry, 'altitudeFt', entryPath, { min: 0, optional: true });
+      errs.number(entry, 'speedKts', entryPath, { min: 0, optional: true });
+    }
+  });
+}
+
+function validateAircraft(ac, path, errs, callsigns, navdata, types) {
+  if (!ac || typeof ac !== 'object') return errs.add(path, 'must be an object');
+  if (typeof ac.callsign !== 'string' || !/^[A-Z0-9]{2,8}$/i.test(ac.callsign)) {
+    errs.add(`${path}.callsign`, 'must be 2-8 letters or digits');
+  } else if (callsigns.has(ac.callsign.toUpperCase())) {
+    errs.add(`${path}.callsign`, `duplicate callsign ${ac.callsign}`);
+  } else {
+    callsigns.add(ac.callsign.toUpperCase());
+  }
+  const typeIds = types ? types.ids() : Object.keys(AIRCRAFT_PROFILES);
+  if (ac.type !== undefined && !typeIds.includes(ac.type)) {
+    errs.add(`${path}.type`, `unknown type "${ac.type}" (expected one of ${typeIds.join(', ')})`);
+  }
+  validatePosition(ac.position, `${path}.position`, errs);
+  errs.number(ac, 'heading', path, { min: 0, max: 360 });
+  errs.number(ac, 'speedKts', path, { min: 0 });
+  const profile = types ? types.get(ac.type ?? 'generic') : AIRCRAFT_PROFILES[ac.type ?? 'generic'];
+  errs.number(ac, 'altitudeFt', path, { min: 0, max: profile?.ceilingFt });
+  if (ac.flightPlan !== undefined) validateFlightPlan(ac.flightPlan, `${path}.flightPlan`, errs, navdata);
+  if (ac.ownNav !== undefined && typeof ac.ownNav !== 'boolean') errs.add(`${path}.ownNav`, 'must be true or false');
+  if (ac.squawk !== undefined && !isValidCode(ac.squawk)) errs.add(`${path}.squawk`, 'must be four digits 0-7, e.g. "4521"');
+  if (ac.transponderMode !== undefined && !TRANSPONDER_MODES.includes(ac.transponderMode)) {
+    errs.add(`${path}.transponderMode`, `must be one of ${TRANSPONDER_MODES.join(', ')}`);
+  }
+}
+
+function validateEnvironment(env, path, errs) {
+  if (!env || typeof env !== 'object' || Array.isArray(env)) return errs.add(path, 'must be an object');
+  if (env.windLayers !== undefined) {
+    if (!Array.isArray(env.windLayers)) errs.add(`${path}.windLayers`, 'must be an array');
+    else env.windLayers.forEach((layer, i) => {
+      const layerPath = `${path}.windLayers[${i}]`;
+      if (!layer || typeof layer !== 'object') return errs.add(layerPath, 'must be an object');
+      errs.number(layer, 'altitudeFt', layerPath, { min: 0 });
+      errs.number(layer, 'dirDeg', layerPath, { min: 0, max: 360 });
+      errs.number(layer, 'speedKts', layerPath, { min: 0 });
+    });
+  }
+  errs.number(env, 'gustKts', path, { min: 0, optional: true });
+  if (env.turbulence !== undefined && !TURBULENCE_LEVELS.includes(env.turbulence)) {
+    errs.add(`${path}.turbulence`, `must be one of ${TURBULENCE_LEVELS.join(', ')}`);
+  }
+  errs.number(env, 'qnhHpa', path, { min: 900, max: 1100, optional: true });
+  errs.number(env, 'temperatureC', path, { min: -60, max: 60, optional: true });
+}
+
+function validateCallsignRef(obj, path, errs, callsigns) {
+  if (typeof obj.callsign !== 'string') errs.add(`${path}.callsign`, 'must be a string');
+  else if (!callsigns.has(obj.callsign.toUpperCase())) errs.add(`${path}.callsign`, `unknown callsign ${obj.callsign}`);
+}
+
+function validateEvent(ev, path, errs, callsigns) {
+  if (!ev || typeof ev !== 'object') return errs.add(path, 'must be an object');
+  if (ev.label !== undefined && typeof ev.label !== 'string') errs.add(`${path}.label`, 'must be a string');
+  if ((ev.at === undefined) === (ev.when === undefined)) {
+    errs.add(path, 'must have exactly one of "at" or "when"');
+  } else if (ev.at !== undefined) {
+    errs.number(ev, 'at', path, { min: 0 });
+  } else if (!ev.when || typeof ev.when !== 'object') {
+    errs.add(`${path}.when`, 'must be an object');
+  } else {
+    validateCallsignRef(ev.when, `${path}.when`, errs, callsigns);
+    const keys = ['altitudeBelowFt', 'altitudeAboveFt', 'rangeBelowKm'].filter(k => ev.when[k] !== undefined);
+    if (keys.length === 0) errs.add(`${path}.when`, 'must set altitudeBelowFt, altitudeAboveFt or rangeBelowKm');
+    keys.forEach(k => errs.number(ev.when, k, `${path}.when`, { min: 0 }));
+  }
+
+  const action = ev.do;
+  const actionPath = `${path}.do`;
+  if (!action || typeof action !== 'object') return errs.add(actionPath, 'must be an object');
+  switch (action.type) {
+    case 'spawn': break; // validated in the first pass, so later events can refer to it
+    case 'wind':
+      errs.number(action, 'dirDeg', actionPath, { min: 0, max: 360 });
+      errs.number(action, 'speedKts', actionPath, { min: 0 });
+      errs.number(action, 'altitudeFt', actionPath, { min: 0, optional: true });
+      break;
+    case 'command':
+      validateCallsignRef(action, actionPath, errs, callsigns);
+      if (typeof action.command !== 'string' || action.command.trim() === '') errs.add(`${actionPath}.command`, 'must be a non-empty string');
+      break;
+    case 'emergency':
+      validateCallsignRef(action, actionPath, errs, callsigns);
+      if (action.kind !== undefined && typeof action.kind !== 'string') errs.add(`${actionPath}.kind`, 'must be a string');
+      break;
+    default:
+      errs.add(`${actionPath}.type`, `must be one of ${EVENT_ACTIONS.join(', ')}`);
+  }
+}
+
+/**
+ * Validates a parsed scenario object.
+ * @param {Object} data - Parsed JSON.
+ * @param {NavDatabase} [navdata] - If given, route fixes are checked against it.
+ * @param {AircraftTypeDatabase} [types] - Known aircraft types; the built-in profiles if omitted.
+ * @returns {{ok: boolean, errors: Array<{path: string, message: string}>}}
+ */
+export function validateScenario(data, navdata = null, types = null) {
+  const errs = new ErrorList();
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    errs.add('$', 'scenario must be a JSON object');
+    return { ok: false, errors: errs.errors };
+  }
+  if (typeof data.name !== 'string' || data.name.trim() === '') errs.add('$.name', 'must be a non-empty string');
+  if (data.description !== undefined && typeof data.description !== 'string') errs.add('$.description', 'must be a string');
+  errs.number(data, 'seed', '$', { min: 0, optional: true });
+
+  if (data.radar !== undefined) {
+    if (data.radar === null || typeof data.radar !== 'object' || Array.isArray(data.radar)) errs.add('$.radar', 'must be an object');
+    else {
+      errs.number(data.radar, 'rangeKm', '$.radar', { min: 50, max: 500, optional: true });
+      errs.number(data.radar, 'sweepRateDps', '$.radar', { min: 1, optional: true });
+    }
+  }
+  if (data.wind !== undefined) {
+    if (data.wind === null || typeof data.wind !== 'object' || Array.isArray(data.wind)) errs.add('$.wind', 'must be an object');
+    else {
+      errs.number(data.wind, 'dirDeg', '$.wind', { min: 0, max: 360 });
+      errs.number(data.wind, 'speedKts', '$.wind', { min: 0 });
+    }
+  }
+  if (data.environment !== undefined) validateEnvironment(data.environment, '$.environment', errs);
+
+  const callsigns = new Set();
+  if (data.aircraft !== undefined) {
+    if (!Array.isArray(data.aircraft)) errs.add('$.aircraft', 'must be an array');
+    else data.aircraft.forEach((ac, i) => validateAircraft(ac, `$.aircraft[${i}]`, errs, callsigns, navdata, types));
+  }
+  if (data.spawns !== undefined) {
+    if (!Array.isArray(data.spawns)) errs.add('$.spawns', 'must be an array');
+    else data.spawns.forEach((sp, i) => {
+      const path = `$.spawns[${i}]`;
+      if (!sp || typeof sp !== 'object') return errs.add(path, 'must be an object');
+      errs.number(sp, 'at', path, { min: 0 });
+      validateAircraft(sp.aircraft, `${path}.aircraft`, errs, callsigns, navdata, types);
+    });
+  }
+  if (data.events !== undefined) {
+    if (!Array.isArray(data.events)) errs.add('$.events', 'must be an array');
+    else {
+      // Spawned callsigns first, so any event may refer to traffic spawned by another
+      data.events.forEach((ev, i) => {
+        if (ev?.do?.type === 'spawn') validateAircraft(ev.do.aircraft, `$.events[${i}].do.aircraft`, errs, callsigns, navdata, types);
+      });
+      data.events.forEach((ev, i) => validateEvent(ev, `$.events[${i}]`, errs, callsigns));
+    }
+  }
+  return { ok: errs.errors.length === 0, errors: errs.errors };
+}
+
+/**
+ * Converts a scenario position to local km around the radar head.
+ * @param {ScenarioPosition} pos
+ * @param {GeoProjection} projection - Projection of the simulation the position is used in.
+ * @returns {{x: number, y: number}}
+ */
+export function resolvePosition(pos, projection) {
+  if ('x' in pos) return { x: pos.x, y: pos.y };
+  if ('lat' in pos) return projection.toLocal(pos);
+  if ('radialDeg' in pos) return projection.fromRadialDme(pos);
+  const rad = pos.bearingDeg * Math.PI / 180;
+  return { x: Math.sin(rad) * pos.rangeKm, y: Math.cos(rad) * pos.rangeKm };
+}
+
+/**
+ * Converts a scenario aircraft entry to the parameters Simulation.spawnAircraft expects.
+ * @param {ScenarioAircraft} ac
+ * @param {GeoProjection} projection - Used for geographic and radial/DME positions.
+ * @returns {Object}
+ */
+export function toSpawnParams(ac, projection) {
+  return {
+    callsign: ac.callsign.toUpperCase(),
+    type: ac.type || 'generic',
+    posKm: resolvePosition(ac.position, projection),
+    heading: ac.heading % 360,
+    speedKts: ac.speedKts,
+    altitudeFt: ac.altitudeFt,
+    flightPlan: ac.flightPlan,
+    ownNav: ac.ownNav,
+    squawk: ac.squawk,
+    transponderMode: ac.transponderMode,
+  };
+}
+
+/**
+ * Returns the scripted events of a validated scenario, with `spawns` expanded
+ * into spawn events.
+ * @param {Scenario} scenario
+ * @returns {Array<ScenarioEvent>}
+ */
+export function scenarioEvents(scenario) {
+  const spawns = (scenario.spawns || []).map(sp => ({ at: sp.at, do: { type: 'spawn', aircraft: sp.aircraft } }));
+  return [...spawns, ...(scenario.events || [])];
+}
+
+/**
+ * Validates a scenario and, if it is valid, restarts the simulation from it.
+ * @param {Simulation} sim - The simulation to start.
+ * @param {Object} data - Parsed scenario JSON.
+ * @returns {{ok: boolean, errors: Array<{path: string, message: string}>}}
+ */
+export function loadScenario(sim, data) {
+  const result = validateScenario(data, sim.navdata, sim.aircraftTypes);
+  if (!result.ok) return result;
+  sim.reset(data.seed ?? sim.seed, data);
+  return result;
+}
+
+/**
+ * Fetches and parses a scenario file. JSON syntax errors are reported in the
+ * same {path, message} shape as validation errors.
+ * @param {string} url - URL of the scenario file.
+ * @returns {Promise<{ok: boolean, data?: Object, errors: Array<{path: string, message: string}>}>}
+ */
+export async function fetchScenario(url) {
+  const response = await fetch(url);
+  if (!response.ok) return { ok: false, errors: [{ path: url, message: `HTTP ${response.status}` }] };
+  try {
+    return { ok: true, data: await response.json(), errors: [] };
+  } catch (e) {
+    return { ok: false, errors: [{ path: url, message: `invalid JSON: ${e.message}` }] };
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Module: score.js
+ *
+ * Student performance for one session. Records every actual loss of
+ * separation (inside the lateral and the vertical minimum at the same moment)
+ * from start to end with the closest approach reached, flags the losses that
+ * came within near-miss distances, and counts the controller's transmissions
+ * and the aircraft landed. The summary is what the instructor reviews when the
+ * exercise ends.
+ */
+import * as Physics from './physics.js';
+
+const LATERAL_SEPARATION_KM = 5;
+const VERTICAL_SEPARATION_FT = 1000;
+const NEAR_MISS_LATERAL_KM = 1.852; // 1 NM
+const NEAR_MISS_VERTICAL_FT = 500;
+const KM_PER_NM = 1.852;
+
+/**
+ * One loss of separation.
+ * @typedef {Object} SeparationLoss
+ * @property {Array<string>} callsigns - The two aircraft.
+ * @property {number} start - Simulation time separation was lost.
+ * @property {number|null} end - Simulation time it was regained, null while ongoing.
+ * @property {number} minLateralKm - Closest lateral distance during the loss.
+ * @property {number} minVerticalFt - Closest vertical distance during the loss.
+ * @property {boolean} nearMiss - Inside both near-miss distances at some moment.
+ */
+
+/**
+ * Class accumulating the score of a session.
+ * @class
+ */
+export class SessionScore {
+  constructor() {
+    this.reset();
+  }
+
+  /** Starts a new, empty score. */
+  reset() {
+    this.losses = []; // Array<SeparationLoss>, in the order they started
+    this.active = new Map(); // Key: 'idA/idB', Value: the ongoing SeparationLoss
+    this.commandsIssued = 0;
+    this.aircraftLanded = 0;
+  }
+
+  /**
+   * Checks separation between all aircraft and opens, extends or closes losses.
+   * @param {Array<Aircraft>} aircraft
+   * @param {number} time - Simulation time (seconds).
+   * @param {Function} [report] - (type, message) log callback.
+   */
+  update(aircraft, time, report) {
+    const seen = new Set();
+    for (const { a, b, lateralKm, verticalFt } of Physics.detectSeparationLoss(aircraft, LATERAL_SEPARATION_KM, VERTICAL_SEPARATION_FT)) {
+      const key = a.id < b.id ? `${a.id}/${b.id}` : `${b.id}/${a.id}`;
+      seen.add(key);
+      let loss = this.active.get(key);
+      if (!loss) {
+        loss = { callsigns: [a.callsign, b.callsign], start: time, end: null, minLateralKm: lateralKm, minVerticalFt: verticalFt, nearMiss: false };
+        this.active.set(key, loss);
+        this.losses.push(loss);
+        report && report('SEP', `Separation lost: ${loss.callsigns.join('/')} ${(lateralKm / KM_PER_NM).toFixed(1)} NM, ${Math.round(verticalFt)} ft`);
+      }
+      loss.minLateralKm = Math.min(loss.minLateralKm, lateralKm);
+      loss.minVerticalFt = Math.min(loss.minVerticalFt, verticalFt);
+      if (lateralKm < NEAR_MISS_LATERAL_KM && verticalFt < NEAR_MISS_VERTICAL_FT) loss.nearMiss = true;
+    }
+    for (const [key, loss] of this.active) {
+      if (seen.has(key)) continue;
+      loss.end = time;
+      this.active.delete(key);
+      report && report('SEP', `Separation regained: ${loss.callsigns.join('/')} after ${Math.round(loss.end - loss.start)} s, closest ${(loss.minLateralKm / KM_PER_NM).toFixed(1)} NM / ${Math.round(loss.minVerticalFt)} ft${loss.nearMiss ? ' (near miss)' : ''}`);
+    }
+  }
+
+  /** Counts one controller transmission. */
+  recordCommand() {
+    this.commandsIssued++;
+  }
+
+  /** Counts one aircraft that landed. */
+  recordLanding() {
+    this.aircraftLanded++;
+  }
+
+  /**
+   * Score so far.
+   * @param {number} time - Simulation time; ongoing losses count up to it.
+   * @returns {Object} - { losses, lossSeconds, nearMisses, commandsIssued, aircraftLanded, events }.
+   */
+  summary(time) {
+    return {
+      losses: this.losses.length,
+      lossSeconds: this.losses.reduce((sum, loss) => sum + ((loss.end ?? time) - loss.start), 0),
+      nearMisses: this.losses.filter(loss => loss.nearMiss).length,
+      commandsIssued: this.commandsIssued,
+      aircraftLanded: this.aircraftLanded,
+      events: this.losses.map(loss => ({ ...loss })),
+    };
+  }
+}
@@ -0,0 +1,419 @@
+/**
+ * Module: simulation.js
+ *
+ * This module defines the Simulation class, the headless engine of the simulator.
+ * It owns the aircraft list, the environment and the radar, and advances them with
+ * a fixed physics step. It never touches the DOM or schedules its own frames, so it
+ * can be constructed, stepped with update(dt) and queried under Node as well as in
+ * the browser. Displays and panels attach to it as optional observers.
+ */
+import { SIM_CONFIG, RADAR_SITE } from '../config.js';
+import { Radar } from './radar.js';
+import { Tracker } from './tracker.js';
+import { Stca } from './stca.js';
+import { Tcas } from './tcas.js';
+import { SessionScore } from './score.js';
+import { Environment } from './environment.js';
+import * as Physics from './physics.js';
+import { Aircraft, HypersonicAircraft } from './aircraft.js';
+import { Random, randomSeed } from './random.js';
+import { GeoProjection } from './geo.js';
+import { NavDatabase } from './navdata.js';
+import { AircraftTypeDatabase } from './aircrafttypes.js';
+import { Airport } from './airport.js';
+import { FlightPlan } from './flightplan.js';
+import { toSpawnParams, scenarioEvents } from './scenario.js';
+import { EventRunner } from './events.js';
+import { computeDeviation } from './deviation.js';
+import * as Command from '../ui/command.js';
+
+const SQUAWK_BLOCK_START = 0o4000; // Discrete codes 4001-4777 are handed out to new traffic
+
+/**
+ * Simulation manager - state, fixed-step update, observers
+ */
+export class Simulation {
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.seed] - Seed for all random traffic. A fresh one is picked if omitted.
+   */
+  constructor(opts = {}) {
+    this.seed = (opts.seed ?? randomSeed()) >>> 0;
+    this.rng = new Random(this.seed);
+    this.nextAircraftId = 1;
+    this.aircraft = [];
+    this.accumulator = 0;
+    this.step = SIM_CONFIG.physicsStep;
+    this.time = 0; // Elapsed simulation time (seconds)
+    this.radarConfig = { rangeKm: 100, sweepRateDps: SIM_CONFIG.radarSweepRateDps };
+    this.env = new Environment(this._environmentRng()); // Wind layers, gusts, turbulence, QNH and temperature
+    this.selected = null;
+    this.isRunning = true;
+    this.timeScale = 1; // Fast-forward factor, one of SIM_CONFIG.timeScales
+    this.observers = [];
+    this.scenario = null; // Active exercise, or null for random traffic
+    this.events = new EventRunner(); // Scripted events of the active scenario
+    this.log = []; // Session log: { time, type, message }, reviewed in the debrief
+    this.score = new SessionScore(); // Separation losses and workload of this session
+
+    this.radar = new Radar(0, 0, this.radarConfig.rangeKm, this.radarConfig.sweepRateDps);
+    this.radar.reset(this._radarRng());
+    this.tracker = new Tracker(); // Turns radar plots into the tracks the display shows
+    this.stca = new Stca(); // Conflict alerts on the tracks, shown to the controller
+    this.autoResolve = false; // Instructor option: aircraft resolve conflicts themselves (TCAS RAs)
+    this.tcas = new Tcas();
+    this.projection = new GeoProjection(RADAR_SITE); // Local km <-> lat/lon, anchored at the radar head
+    this.navdata = new NavDatabase(); // Fixes and navaids, filled by the host (see main.js)
+    this.aircraftTypes = new AircraftTypeDatabase(); // Built-in profiles, plus the types the host loads (see main.js)
+    this.airport = new Airport(); // Runways, filled by the host (see main.js)
+    this.runwayInUse = null; // Runway cleared by a plain CLR APP and shown on the PAR
+  }
+
+  init() {
+    const scenario = this.scenario;
+    if (scenario?.environment) this.env.configure(scenario.environment);
+    if (scenario?.wind) this.env.setWind(scenario.wind);
+    this.radar.setRange(scenario?.radar?.rangeKm ?? this.radarConfig.rangeKm);
+    this.radar.sweepSpeed = scenario?.radar?.sweepRateDps ?? this.radarConfig.sweepRateDps;
+
+    if (!scenario) {
+      // add a few starter aircraft
+      for (let i=0;i<6;i++) this.addAircraft(i===0?'hypersonic':'generic');
+      return;
+    }
+    for (const ac of scenario.aircraft || []) this.spawnAircraft(toSpawnParams(ac, this.projection));
+    this.events = new EventRunner(scenarioEvents(scenario));
+    this.logEvent('SESSION', `Exercise "${scenario.name}" started`);
+  }
+
+  /**
+   * Clears all traffic and restarts the run from a seed, so the same seed
+   * always rebuilds the same traffic picture.
+   * @param {number} [seed=this.seed] - Seed to restart from.
+   * @param {Object|null} [scenario=this.scenario] - Validated scenario to run, or null for random traffic.
+   */
+  reset(seed = this.seed, scenario = this.scenario) {
+    this.scenario = scenario;
+    this.events = new EventRunner();
+    this.log = [];
+    this.score.reset();
+    this.seed = seed >>> 0;
+    this.rng = new Random(this.seed);
+    this.nextAircraftId = 1;
+    this.aircraft = [];
+    this.selected = null;
+    this.accumulator = 0;
+    this.time = 0;
+    this.radar.reset(this._radarRng());
+    this.env.reset(this._environmentRng());
+    this.tracker.reset();
+    this.stca.reset();
+    this.tcas.reset();
+    this.init();
+  }
+
+  /**
+   * Registers an observer. Observers may implement render(sim, now), which is
+   * called once per rendered frame by whatever drives the simulation.
+   * @param {Object} observer - The observer to attach.
+   * @returns {Function} - A function that detaches the observer again.
+   */
+  attach(observer) {
+    this.observers.push(observer);
+    return () => this.detach(observer);
+  }
+
+  /**
+   * Removes a previously attached observer.
+   * @param {Object} observer - The observer to detach.
+   */
+  detach(observer) {
+    const idx = this.observers.indexOf(observer);
+    if (idx >= 0) this.observers.splice(idx, 1);
+  }
+
+  /**
+   * Advances the simulation by a wall-clock interval, running as many fixed
+   * physics steps as fit into it. With fast-forward, each real second runs
+   * timeScale seconds of simulation. Leftover time is carried to the next call.
+   * @param {number} dtSec - Elapsed real time in seconds.
+   * @returns {number} - The number of physics steps that were run.
+   */
+  advance(dtSec) {
+    if (!this.isRunning) return 0;
+    let steps = 0;
+    this.accumulator += Math.min(dtSec, SIM_CONFIG.maxFrameSec) * this.timeScale;
+    while (this.accumulator >= this.step) {
+      this.update(this.step);
+      this.accumulator -= this.step;
+      steps++;
+    }
+    return steps;
+  }
+
+  /** Freezes the simulation clock. Observers keep rendering the frozen picture. */
+  pause() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+    this.accumulator = 0;
+    this.logEvent('SESSION', 'Paused');
+  }
+
+  /** Continues a paused simulation. */
+  resume() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    this.logEvent('SESSION', 'Resumed');
+  }
+
+  togglePause() {
+    this.isRunning ? this.pause() : this.resume();
+  }
+
+  /**
+   * Sets the fast-forward factor.
+   * @param {number} scale - One of SIM_CONFIG.timeScales.
+   */
+  setTimeScale(scale) {
+    if (!SIM_CONFIG.timeScales.includes(scale) || scale === this.timeScale) return;
+    this.timeScale = scale;
+    this.logEvent('SESSION', `Time scale ${scale}x`);
+  }
+
+  /** Runs exactly one physics step while paused, for teaching. */
+  stepOnce() {
+    if (this.isRunning) return;
+    this.update(this.step);
+  }
+
+  update(dt) {
+    // scripted scenario events that are due
+    this.events.update(this);
+    // gusts come and go
+    this.env.update(dt);
+    // physics update each aircraft
+    const ctx = { env: this.env, physics: Physics, report: (type, message) => this.logEvent(type, message) };
+    for (const ac of this.aircraft) {
+      ac.update(dt, ctx);
+    }
+    // aircraft that touched down leave the traffic picture
+    if (this.aircraft.some(ac => ac.landed)) {
+      for (const ac of this.aircraft) if (ac.landed) this.score.recordLanding();
+      if (this.selected && this.selected.landed) this.selected = null;
+      this.aircraft = this.aircraft.filter(ac => !ac.landed);
+    }
+    // automatic conflict resolution, if the instructor switched it on
+    if (this.autoResolve) this.tcas.update(this.aircraft, ctx.report);
+    // actual losses of separation, for the session score
+    this.score.update(this.aircraft, this.time, ctx.report);
+    // radar detection and tracking
+    this.time += dt;
+    const plots = this.radar.update(dt, this.aircraft, this.time);
+    this.tracker.update(plots, this.time, this.radar.scanPeriod);
+    this.stca.update(this.tracker.getTracks(), this.time, ctx.report);
+  }
+
+  /**
+   * Random source for radar missed hits and measurement errors. Separate from this.rng so that
+   * detection luck never changes the traffic a seed produces.
+   * @private
+   * @returns {Random}
+   */
+  _radarRng() {
+    return new Random((this.seed ^ 0x5bd1e995) >>> 0);
+  }
+
+  /**
+   * Random source for gusts and turbulence, separate from this.rng for the same reason.
+   * @private
+   * @returns {Random}
+   */
+  _environmentRng() {
+    return new Random((this.seed ^ 0x27d4eb2f) >>> 0);
+  }
+
+  /**
+   * Appends an entry to the session log.
+   * @param {string} type - Category, e.g. 'EVENT' or 'SESSION'.
+   * @param {string} message - Human readable text.
+   */
+  logEvent(type, message) {
+    this.log.push({ time: this.time, type, message });
+  }
+
+  /**
+   * Notifies all observers that a new frame should be drawn.
+   * @param {number} now - Frame timestamp (ms), as passed by the driver.
+   */
+  render(now) {
+    for (const observer of this.observers) {
+      observer.render && observer.render(this, now);
+    }
+  }
+
+  /**
+   * Adds an aircraft of a type at a random position, heading, speed and altitude.
+   * @param {string} [type='generic'] - Type designator from the type database.
+   * @returns {Aircraft} - The new aircraft.
+   */
+  addAircraft(type='generic') {
+    const rng = this.rng;
+    const isHypersonic = type === 'hypersonic';
+    const profile = this.aircraftTypes.get(type) || this.aircraftTypes.get('generic');
+    const callsign = (isHypersonic ? 'HX' : 'AC') + String(100 + this.nextAircraftId); // HX for Hypersonic
+    const start = { x: rng.range(-70, 70), y: rng.range(-70, 70) }; // km relative to center
+    return this.spawnAircraft({
+      callsign,
+      type: profile.id,
+      posKm: start,
+      heading: rng.range(0, 360),
+      speedKts: isHypersonic ? 4000 : rng.range(profile.minSpeed ?? 200, Math.min(profile.maxSpeed, 550)),
+      altitudeFt: rng.range(3000, 9500), // All aircraft now spawn between 3,000 and 9,500 ft
+    });
+  }
+
+  /**
+   * Creates an aircraft from explicit parameters and adds it to the simulation.
+   * @param {Object} params - callsign, type (a type designator; generic if unknown), posKm, heading,
+   *   speedKts, altitudeFt, and optionally flightPlan (scenario-file form), ownNav, squawk and transponderMode.
+   * @returns {Aircraft} - The new aircraft.
+   */
+  spawnAircraft(params) {
+    const opts = { ...params, id: this.nextAircraftId++ };
+    opts.profile = this.aircraftTypes.get(opts.type) || this.aircraftTypes.get('generic');
+    opts.type = opts.profile.id;
+    // Without a code of its own, the aircraft gets the next discrete code of the unit's block
+    if (opts.squawk === undefined) opts.squawk = (SQUAWK_BLOCK_START + (opts.id % 0o1000)).toString(8);
+    if (params.flightPlan) {
+      const { plan, unknown } = FlightPlan.fromData(params.flightPlan, this.navdata);
+      if (unknown.length) this.logEvent('SESSION', `${params.callsign}: unknown fixes dropped from route: ${unknown.join(', ')}`);
+      opts.flightPlan = plan;
+    }
+    const ac = opts.type === 'hypersonic' ? new HypersonicAircraft(opts) : new Aircraft(opts);
+    this.aircraft.push(ac);
+    return ac;
+  }
+
+  removeSelectedOrLast() {
+    if (this.selected) {
+      const idx = this.aircraft.indexOf(this.selected);
+      if (idx>=0) this.aircraft.splice(idx,1);
+      this.selected = null;
+    } else {
+      this.aircraft.pop();
+    }
+  }
+
+  /**
+   * Looks up a runway of the aerodrome.
+   * @param {string} id - Runway designator, e.g. '14'.
+   * @returns {Object|undefined} - Runway from the Airport (see airport.js).
+   */
+  getRunway(id) {
+    return this.airport.getRunway(id);
+  }
+
+  /**
+   * Changes the runway in use. Plain approach clearances and the PAR follow it.
+   * @param {string} id - Runway designator.
+   * @returns {boolean} - False if the runway does not exist.
+   */
+  setRunwayInUse(id) {
+    const runway = this.getRunway(id);
+    if (!runway) return false;
+    if (runway.id === this.runwayInUse) return true;
+    this.runwayInUse = runway.id;
+    this.logEvent('SESSION', `Runway in use ${runway.id}`);
+    return true;
+  }
+
+  /**
+   * Precision approach deviations of an aircraft, as shown on the PAR view.
+   * @param {string} callsign - Aircraft callsign.
+   * @param {string} [runwayId=this.runwayInUse] - Runway being approached.
+   * @returns {Object|null} - See computeDeviation in deviation.js; null if the aircraft or runway is unknown.
+   */
+  getApproachDeviation(callsign, runwayId = this.runwayInUse) {
+    const ac = this.getAircraftByCallsign(callsign);
+    const runway = this.getRunway(runwayId);
+    return ac && runway ? computeDeviation(runway, ac.posKm, ac.altitudeFt) : null;
+  }
+
+  getAircraftByCallsign(callsign){ return this.aircraft.find(a=>a.callsign.toUpperCase()===callsign.toUpperCase()); }
+
+  selectByCallsign(callsign){
+    const a = this.getAircraftByCallsign(callsign);
+    if (a) this.selected = a;
+  }
+
+  /**
+   * Switches automatic (TCAS-like) conflict resolution on or off. Switching it
+   * off cancels any advisory in progress.
+   * @param {boolean} on
+   */
+  setAutoResolve(on) {
+    if (this.autoResolve === on) return;
+    this.autoResolve = on;
+    if (!on) this.tcas.reset(this.aircraft);
+    this.logEvent('SESSION', `Automatic conflict resolution ${on ? 'on' : 'off'}`);
+  }
+
+  /**
+   * Changes the weather while the exercise runs (the instructor's environment panel).
+   * @param {Partial<EnvironmentSettings>} settings - See environment.js; fields not given are kept.
+   */
+  setEnvironment(settings) {
+    this.env.configure(settings);
+    this.logEvent('SESSION', `Environment: ${this.env.describe()}`);
+  }
+
+  /**
+   * Controller acknowledgement of an STCA alert.
+   * @param {string} key - Alert key, e.g. 'T001/T004'.
+   * @returns {boolean} - False if the alert is no longer active.
+   */
+  acknowledgeAlert(key) {
+    const alert = this.stca.alerts.get(key);
+    if (!alert || !this.stca.acknowledge(key)) return false;
+    this.logEvent('STCA', `STCA ${alert.callsigns.join('/')} acknowledged`);
+    return true;
+  }
+
+  selectByPosition(posKm){
+    // pick the nearest track on the scope within threshold; a target the radar is not painting cannot be clicked
+    let best = null, bestD = 1e9;
+    for (const t of this.tracker.getTracks()){
+      const d = Physics.distanceKm(t.posKm, posKm);
+      if (d < bestD) { bestD = d; best = t; }
+    }
+    this.selected = best && bestD < 5 ? this.aircraft.find(a => a.id === best.aircraftId) || null : null;
+  }
+
+  processCommand(raw) {
+    const { ok, callsign, commands, error } = Command.parseRawCommand(raw);
+    if (!ok) { console.error(`CMD_PARSE_ERR: ${error}`); return; }
+
+    let dispatched = 0;
+    for (const command of commands) {
+      const commandWithTarget = { ...command, callsign };
+      const v = Command.validateCommand(commandWithTarget, this);
+      if (!v.ok) { console.warn(`CMD_INVALID: ${v.reason}`); continue; } // Log and continue to next command
+      Command.dispatchCommand(commandWithTarget, this);
+      dispatched++;
+    }
+    // One transmission, however many instructions it chains
+    if (dispatched > 0) this.score.recordCommand();
+  }
+
+  /**
+   * Ends the exercise: stops the clock and writes the score to the log for the debrief.
+   * @returns {Object} - The final score (SessionScore.summary).
+   */
+  endExercise() {
+    this.pause();
+    const score = this.score.summary(this.time);
+    this.logEvent('SESSION', `Exercise ended: ${score.losses} separation loss(es) totalling ${Math.round(score.lossSeconds)} s, `
+      + `${score.nearMisses} near miss(es), ${score.commandsIssued} command(s), ${score.aircraftLanded} landed`);
+    return score;
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Module: stca.js
+ *
+ * Short-Term Conflict Alert. Runs Physics.detectConflicts on the radar tracks
+ * (what the controller sees, not the aircraft themselves) and keeps one alert
+ * per conflicting pair for as long as the pair stays in conflict: time to the
+ * closest point of approach, the predicted miss distance and the present
+ * vertical distance. Only tracks with a velocity and a Mode C altitude take
+ * part. The controller acknowledges an alert to silence it; the alert itself
+ * stays until the conflict has been over for a few seconds.
+ */
+import * as Physics from './physics.js';
+
+const KM_PER_NM = 1.852;
+const ALERT_HOLD_SEC = 5; // An alert survives this long without the conflict, so noisy tracks do not make it flicker
+
+/**
+ * A conflict alert between two tracks.
+ * @typedef {Object} StcaAlert
+ * @property {string} key - Pair key, e.g. 'T001/T004'.
+ * @property {Array<string>} trackIds - The two track ids.
+ * @property {Array<string>} callsigns - Their callsigns, as the transponders reported them.
+ * @property {number} timeToCpaSec - Time to the closest point of approach.
+ * @property {number} missDistanceNm - Predicted lateral distance at the closest point.
+ * @property {number} verticalFt - Present vertical distance.
+ * @property {number} raisedAt - Simulation time the alert was raised.
+ * @property {number} lastSeen - Simulation time the conflict was last detected.
+ * @property {boolean} acknowledged - Set by the controller.
+ */
+
+/**
+ * Formats a time to CPA as m:ss, e.g. "1:05".
+ * @param {number} sec
+ * @returns {string}
+ */
+export function formatTimeToCpa(sec) {
+  const total = Math.max(0, Math.floor(sec));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Class keeping the active STCA alerts.
+ * @class
+ */
+export class Stca {
+  constructor() {
+    this.alerts = new Map(); // Key: pair key, Value: StcaAlert
+  }
+
+  /** Clears all alerts. */
+  reset() {
+    this.alerts.clear();
+  }
+
+  /**
+   * Re-evaluates the alerts against the current tracks.
+   * @param {Array<Object>} tracks - Tracker.getTracks().
+   * @param {number} time - Simulation time (seconds).
+   * @param {Function} [report] - (type, message) log callback.
+   */
+  update(tracks, time, report) {
+    const eligible = tracks.filter(t => t.heading !== null && t.altitudeFt !== null && !t.primaryOnly);
+    for (const c of Physics.detectConflicts(eligible)) {
+      const [a, b] = c.a.id < c.b.id ? [c.a, c.b] : [c.b, c.a];
+      const key = `${a.id}/${b.id}`;
+      let alert = this.alerts.get(key);
+      if (!alert) {
+        alert = { key, trackIds: [a.id, b.id], raisedAt: time, acknowledged: false };
+        this.alerts.set(key, alert);
+      }
+      alert.callsigns = [a.callsign, b.callsign];
+      alert.timeToCpaSec = c.ttc;
+      alert.missDistanceNm = c.distAtCPA / KM_PER_NM;
+      alert.verticalFt = Math.abs(a.altitudeFt - b.altitudeFt);
+      alert.lastSeen = time;
+      if (alert.raisedAt === time && report) {
+        report('STCA', `STCA ${alert.callsigns.join('/')}: CPA in ${Math.round(alert.timeToCpaSec)} s, ${alert.missDistanceNm.toFixed(1)} NM, ${Math.round(alert.verticalFt)} ft`);
+      }
+    }
+    for (const [key, alert] of this.alerts) {
+      if (time - alert.lastSeen <= ALERT_HOLD_SEC) continue;
+      this.alerts.delete(key);
+      report && report('STCA', `STCA ${alert.callsigns.join('/')} ended`);
+    }
+  }
+
+  /**
+   * Marks an alert as acknowledged by the controller.
+   * @param {string} key - Pair key.
+   * @returns {boolean} - False if there is no such alert.
+   */
+  acknowledge(key) {
+    const alert = this.alerts.get(key);
+    if (!alert) return false;
+    alert.acknowledged = true;
+    return true;
+  }
+
+  /**
+   * Active alerts, most urgent first.
+   * @returns {Array<StcaAlert>}
+   */
+  getAlerts() {
+    return [...this.alerts.values()].sort((x, y) => x.timeToCpaSec - y.timeToCpaSec);
+  }
+}
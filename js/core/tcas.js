@@ -0,0 +1,96 @@
+/**
+ * Module: tcas.js
+ *
+ * Automatic conflict resolution, modelled on TCAS II. It is an instructor
+ * option (Simulation.autoResolve) and works on the aircraft themselves, as the
+ * onboard equipment would. For every pair closing within the TA time to CPA
+ * with a small predicted miss distance, the vertical distance at CPA (from
+ * present altitudes and vertical speeds) decides the advisory: a traffic
+ * advisory (TA) to both crews, or, closer in, a coordinated resolution
+ * advisory (RA) - the upper aircraft climbs and the lower one descends, and
+ * that sense is kept until the pair is clear of conflict. An RA only drives the
+ * vertical speed; the cleared altitude stays as the controller set it, and the
+ * aircraft returns to it once clear.
+ */
+import * as Physics from './physics.js';
+
+const TA_TAU_SEC = 40; // Time to CPA at which a traffic advisory is issued
+const RA_TAU_SEC = 25; // Time to CPA at which a resolution advisory is issued
+const MISS_DISTANCE_KM = 1.852; // Pairs predicted to pass further apart than 1 NM are left alone
+const TA_VERTICAL_FT = 850; // Vertical distance at CPA below which a TA is issued
+const RA_VERTICAL_FT = 600; // Vertical distance at CPA below which an RA is issued
+const SCREEN_VERTICAL_FT = 3000; // Pairs further apart than this now are not evaluated
+
+/**
+ * TCAS state of one aircraft.
+ * @typedef {Object} TcasAdvisory
+ * @property {string|null} advisory - 'TA', 'RA' or null.
+ * @property {string|null} sense - 'climb' or 'descend' during an RA.
+ * @property {string|null} intruder - Callsign of the traffic.
+ */
+
+/**
+ * Class coordinating the advisories of all aircraft.
+ * @class
+ */
+export class Tcas {
+  constructor() {
+    this.pairs = new Map(); // Key: 'idA/idB', Value: { level, upper, lower }
+  }
+
+  /**
+   * Clears every advisory.
+   * @param {Array<Aircraft>} [aircraft] - Aircraft whose advisories are reset as well.
+   */
+  reset(aircraft = []) {
+    this.pairs.clear();
+    for (const ac of aircraft) ac.tcas = { advisory: null, sense: null, intruder: null };
+  }
+
+  /**
+   * Evaluates all pairs and updates each aircraft's advisory.
+   * @param {Array<Aircraft>} aircraft
+   * @param {Function} [report] - (type, message) log callback.
+   */
+  update(aircraft, report) {
+    const active = new Map();
+    for (const c of Physics.detectConflicts(aircraft, TA_TAU_SEC, MISS_DISTANCE_KM, SCREEN_VERTICAL_FT)) {
+      const [a, b] = c.a.id < c.b.id ? [c.a, c.b] : [c.b, c.a];
+      const key = `${a.id}/${b.id}`;
+      const verticalAtCpa = Math.abs((a.altitudeFt + a.vsFpm / 60 * c.ttc) - (b.altitudeFt + b.vsFpm / 60 * c.ttc));
+      const previous = this.pairs.get(key);
+      let level = null;
+      if (previous && previous.level === 'RA') level = 'RA'; // An RA holds until clear of conflict
+      else if (c.ttc <= RA_TAU_SEC && verticalAtCpa < RA_VERTICAL_FT) level = 'RA';
+      else if (verticalAtCpa < TA_VERTICAL_FT) level = 'TA';
+      if (!level) continue;
+      // Coordinated sense: chosen once per encounter, the upper aircraft climbs
+      const upper = previous?.upper ?? (a.altitudeFt >= b.altitudeFt ? a : b);
+      const pair = { level, upper, lower: upper === a ? b : a };
+      active.set(key, pair);
+      if (level === 'RA' && previous?.level !== 'RA' && report) {
+        report('RA', `RA ${pair.upper.callsign} climb, ${pair.lower.callsign} descend`);
+      }
+    }
+
+    // Each aircraft takes the strongest advisory of the pairs it is part of
+    const advisories = new Map();
+    const offer = (ac, advisory, sense, intruder) => {
+      const current = advisories.get(ac);
+      if (!current || (current.advisory === 'TA' && advisory === 'RA')) advisories.set(ac, { advisory, sense, intruder: intruder.callsign });
+    };
+    for (const pair of active.values()) {
+      const ra = pair.level === 'RA';
+      offer(pair.upper, pair.level, ra ? 'climb' : null, pair.lower);
+      offer(pair.lower, pair.level, ra ? 'descend' : null, pair.upper);
+    }
+    for (const ac of aircraft) {
+      const next = advisories.get(ac) || { advisory: null, sense: null, intruder: null };
+      if (ac.tcas.advisory === 'RA' && next.advisory !== 'RA' && report) {
+        report('RA', `${ac.callsign} clear of conflict, returning to ${Math.round(ac.target.altitude)} ft`);
+      }
+      ac.tcas = next;
+    }
+    this.pairs = active;
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * Module: tracker.js
+ *
+ * Radar tracker between the Radar and the Display. The radar only produces
+ * plots: a measured position with whatever the transponder replied. The tracker
+ * correlates each plot with the track whose predicted position is nearest
+ * (preferring a track squawking the same code), smooths position and velocity
+ * with an alpha-beta filter, and starts a new track for a plot nothing claims.
+ * A track that misses a scan coasts on its last velocity and is dropped after
+ * TRACKER_CONFIG.dropAfterScans missed scans. Correlation never looks at which
+ * aircraft produced a plot, so dropouts, swaps and split tracks happen the way
+ * they do on a real scope.
+ */
+import { SIM_CONFIG, TRACKER_CONFIG } from '../config.js';
+import * as Physics from './physics.js';
+
+const KM_PER_KT_SEC = 1.852 / 3600;
+const MISSED_SCAN_MARGIN = 0.1; // Fraction of a scan a plot may be late before the scan counts as missed
+
+/**
+ * Class representing the plot-to-track correlator.
+ * @class
+ */
+export class Tracker {
+  /**
+   * @param {Object} [opts] - Overrides of TRACKER_CONFIG.
+   */
+  constructor(opts = {}) {
+    this.config = { ...TRACKER_CONFIG, ...opts };
+    this.tracks = [];
+    this.nextTrackNumber = 1;
+    this.time = 0;
+    this.scanPeriod = 1;
+  }
+
+  /** Drops all tracks and restarts track numbering. */
+  reset() {
+    this.tracks = [];
+    this.nextTrackNumber = 1;
+    this.time = 0;
+  }
+
+  /**
+   * Correlates new plots with the tracks, then coasts or drops tracks without one.
+   * @param {Array<Object>} plots - Plots produced by Radar.update this step.
+   * @param {number} time - Simulation time (seconds).
+   * @param {number} scanPeriod - Seconds per antenna revolution.
+   */
+  update(plots, time, scanPeriod) {
+    this.time = time;
+    this.scanPeriod = scanPeriod;
+    for (const plot of plots) {
+      const track = this._correlate(plot);
+      if (track) this._smooth(track, plot);
+      else this._initiate(plot);
+    }
+    for (const track of this.tracks) {
+      track.missedScans = Math.max(0, Math.floor((time - track.lastPlotTime) / scanPeriod - MISSED_SCAN_MARGIN));
+    }
+    // A single plot has no velocity to coast on, so a tentative track goes at its first miss
+    this.tracks = this.tracks.filter(t => t.missedScans < (t.plotCount > 1 ? this.config.dropAfterScans : 1));
+  }
+
+  /**
+   * Finds the track a plot belongs to: within the gate around the predicted
+   * position, same SSR code first, then nearest.
+   * @private
+   * @returns {Object|null}
+   */
+  _correlate(plot) {
+    let best = null;
+    let bestKey = null;
+    for (const track of this.tracks) {
+      if (track.lastScan === plot.scan) continue; // One plot per track per scan
+      const dt = plot.time - track.lastPlotTime;
+      const predicted = this._predict(track, plot.time);
+      const distance = Physics.distanceKm(predicted, plot.posKm);
+      // Without a velocity yet, anything the fastest aircraft could have flown is in the gate
+      const gate = track.plotCount > 1 ? this.config.gateKm : this.config.gateKm + this.config.maxSpeedKts * KM_PER_KT_SEC * dt;
+      if (distance > gate) continue;
+      const codeMismatch = plot.ssr && track.code && plot.ssr.code !== track.code ? 1 : 0;
+      if (!best || codeMismatch < bestKey.codeMismatch || (codeMismatch === bestKey.codeMismatch && distance < bestKey.distance)) {
+        best = track;
+        bestKey = { codeMismatch, distance };
+      }
+    }
+    return best;
+  }
+
+  /** @private */
+  _predict(track, time) {
+    const dt = time - track.lastPlotTime;
+    return { x: track.posKm.x + track.velKmps.x * dt, y: track.posKm.y + track.velKmps.y * dt };
+  }
+
+  /**
+   * Alpha-beta update of a track with its new plot.
+   * @private
+   */
+  _smooth(track, plot) {
+    const dt = plot.time - track.lastPlotTime;
+    if (dt <= 0) return;
+    track.history.unshift({ ...track.posKm });
+    if (track.history.length > SIM_CONFIG.maxTrailDots) track.history.pop();
+    if (track.plotCount === 1) {
+      // Second plot: the velocity is simply the distance covered between the two
+      track.velKmps = { x: (plot.posKm.x - track.posKm.x) / dt, y: (plot.posKm.y - track.posKm.y) / dt };
+      track.posKm = { ...plot.posKm };
+    } else {
+      const { alpha, beta } = this.config;
+      const predicted = this._predict(track, plot.time);
+      const rx = plot.posKm.x - predicted.x;
+      const ry = plot.posKm.y - predicted.y;
+      track.posKm = { x: predicted.x + alpha * rx, y: predicted.y + alpha * ry };
+      track.velKmps = { x: track.velKmps.x + (beta / dt) * rx, y: track.velKmps.y + (beta / dt) * ry };
+    }
+    this._accept(track, plot);
+  }
+
+  /** @private */
+  _initiate(plot) {
+    const track = {
+      id: `T${String(this.nextTrackNumber++).padStart(3, '0')}`,
+      posKm: { ...plot.posKm },
+      velKmps: { x: 0, y: 0 },
+      history: [],
+      plotCount: 0,
+      missedScans: 0,
+    };
+    this._accept(track, plot);
+    this.tracks.push(track);
+  }
+
+  /**
+   * Stores what the latest plot said about the target.
+   * @private
+   */
+  _accept(track, plot) {
+    // Climb or descent from successive Mode C altitudes; unknown without them
+    const dt = plot.time - track.lastPlotTime;
+    track.vsFpm = plot.altitudeFt !== null && track.plot && track.plot.altitudeFt !== null && dt > 0
+      ? (plot.altitudeFt - track.plot.altitudeFt) / (dt / 60)
+      : null;
+    track.plotCount++;
+    track.lastPlotTime = plot.time;
+    track.lastScan = plot.scan;
+    track.missedScans = 0;
+    track.plot = plot;
+    // A primary-only plot keeps the code the track already had
+    if (plot.ssr) track.code = plot.ssr.code;
+  }
+
+  /**
+   * Current tracks in display form.
+   * @returns {Array<Object>} - The latest plot's data plus id (track number), posKm (smoothed,
+   *   extrapolated while coasting), trail (earlier track positions), heading and speedKts
+   *   (from the smoothed velocity, null until the track has two plots), vsFpm (from Mode C,
+   *   null without two altitude replies in a row), coasting and missedScans.
+   */
+  getTracks() {
+    return this.tracks.map(track => {
+      const coasting = track.missedScans > 0;
+      const hasVelocity = track.plotCount > 1;
+      const v = track.velKmps;
+      return {
+        ...track.plot,
+        id: track.id,
+        posKm: coasting ? this._predict(track, this.time) : { ...track.posKm },
+        trail: track.history,
+        heading: hasVelocity ? Physics.bearingTo({ x: 0, y: 0 }, v) : null,
+        speedKts: hasVelocity ? Math.hypot(v.x, v.y) / KM_PER_KT_SEC : null,
+        vsFpm: track.vsFpm,
+        coasting,
+        missedScans: track.missedScans,
+      };
+    });
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Module: transponder.js
+ *
+ * SSR transponder of an aircraft: the 4-digit (octal) Mode A code, the selected
+ * mode and the ident (SPI) pulse. The radar reads it to decide what a target
+ * paints as: Mode C replies with code and pressure altitude, Mode A with the
+ * code only, and an aircraft whose transponder is off or in standby is seen by
+ * the primary radar alone.
+ */
+
+export const TRANSPONDER_MODES = ['off', 'standby', 'A', 'C'];
+export const IDENT_DURATION_SEC = 18; // The SPI pulse is transmitted for about 18 seconds
+export const DEFAULT_CODE = '2000'; // Conspicuity code for aircraft without an assigned code
+
+// Special purpose codes, with the short label shown in the data block
+export const EMERGENCY_CODES = {
+  '7500': 'HIJACK',
+  '7600': 'RADIO',
+  '7700': 'EMERG',
+};
+
+/**
+ * Checks a Mode A code: four octal digits.
+ * @param {string} code - e.g. '4521'.
+ * @returns {boolean}
+ */
+export function isValidCode(code) {
+  return /^[0-7]{4}$/.test(String(code));
+}
+
+/**
+ * Class representing an aircraft's transponder.
+ * @class
+ */
+export class Transponder {
+  /**
+   * @param {Object} [opts]
+   * @param {string} [opts.code='2000'] - Mode A code.
+   * @param {string} [opts.mode='C'] - One of TRANSPONDER_MODES.
+   */
+  constructor({ code = DEFAULT_CODE, mode = 'C' } = {}) {
+    this.code = isValidCode(code) ? String(code) : DEFAULT_CODE;
+    this.mode = TRANSPONDER_MODES.includes(mode) ? mode : 'C';
+    this.identRemainingSec = 0;
+  }
+
+  /** @returns {boolean} - True while the transponder replies to interrogations. */
+  get replying() {
+    return this.mode === 'A' || this.mode === 'C';
+  }
+
+  /** @returns {boolean} - True while the ident pulse is being sent. */
+  get ident() {
+    return this.replying && this.identRemainingSec > 0;
+  }
+
+  /** @returns {string|null} - HIJACK, RADIO or EMERG for a special purpose code. */
+  get emergencyCode() {
+    return this.replying ? (EMERGENCY_CODES[this.code] || null) : null;
+  }
+
+  /**
+   * Sets a new Mode A code.
+   * @param {string} code - Four octal digits.
+   * @returns {boolean} - False if the code is invalid.
+   */
+  squawk(code) {
+    if (!isValidCode(code)) return false;
+    this.code = String(code);
+    return true;
+  }
+
+  /**
+   * Selects a mode.
+   * @param {string} mode - One of TRANSPONDER_MODES.
+   * @returns {boolean} - False if the mode is unknown.
+   */
+  setMode(mode) {
+    if (!TRANSPONDER_MODES.includes(mode)) return false;
+    this.mode = mode;
+    if (!this.replying) this.identRemainingSec = 0;
+    return true;
+  }
+
+  /** Presses the IDENT button. */
+  pressIdent() {
+    if (this.replying) this.identRemainingSec = IDENT_DURATION_SEC;
+  }
+
+  /**
+   * Counts down the ident pulse.
+   * @param {number} dt - Delta time (seconds).
+   */
+  update(dt) {
+    this.identRemainingSec = Math.max(0, this.identRemainingSec - dt);
+  }
+
+  /**
+   * What a secondary radar interrogation receives.
+   * @param {number} altitudeFt - Pressure altitude of the aircraft.
+   * @returns {Object|null} - { code, mode, altitudeFt (Mode C only), ident, emergency }, or null when not replying.
+   */
+  reply(altitudeFt) {
+    if (!this.replying) return null;
+    return {
+      code: this.code,
+      mode: this.mode,
+      altitudeFt: this.mode === 'C' ? altitudeFt : null,
+      ident: this.ident,
+      emergency: this.emergencyCode,
+    };
+  }
+}
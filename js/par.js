@@ -2,22 +2,45 @@
  * Module: par.js
  *
  * This module initializes and controls the Precision Approach Radar (PAR) view.
- * It handles the rendering of the localizer and glideslope canvases.
+ * It handles the rendering of the localizer and glideslope canvases, and plots
+ * the aircraft of the shared Simulation on both scopes, so a precision approach
+ * talkdown can be run against the same traffic that is shown on the ASR.
  */
+import { SIM } from './main.js';
+import { computeDeviation, AZIMUTH_CORRIDOR_DEG, GLIDEPATH_CORRIDOR_DEG } from './core/deviation.js';
+import { syncRunwaySelect } from './ui/ui.js';
+
+const KM_PER_NM = 1.852;
+const AZIMUTH_COVERAGE_DEG = 10; // Half-width of the azimuth scan
+const ELEVATION_COVERAGE_DEG = 7; // Top of the elevation scan
+const PAR_UPDATE_SEC = 1; // Simulation time between PAR position reports (history dots)
+const HISTORY_DOTS = 8;
 
 class PARDisplay {
-    constructor(localizerCanvas, glideslopeCanvas) {
+    constructor(localizerCanvas, glideslopeCanvas, runwaySelect, dataPanel) {
         this.locCanvas = localizerCanvas;
         this.gsCanvas = glideslopeCanvas;
         this.locCtx = this.locCanvas.getContext('2d');
         this.gsCtx = this.gsCanvas.getContext('2d');
+        this.runwaySelect = runwaySelect;
+        this.dataPanel = dataPanel;
+        this.history = new Map(); // Aircraft id -> recent PAR reports, newest first
+        this.lastReportTime = -Infinity;
+        this.runway = null; // Runway the scopes are oriented on (the runway in use)
+        this.rangeNm = SIM.airport.parRangeNm; // Width of both scopes
+
+        this.resize();
+        if (this.runwaySelect) this.runwaySelect.addEventListener('change', () => SIM.setRunwayInUse(this.runwaySelect.value));
+        this.locCanvas.addEventListener('click', (e) => this._selectAt(e, this.locCanvas, 'azimuth'));
+        this.gsCanvas.addEventListener('click', (e) => this._selectAt(e, this.gsCanvas, 'elevation'));
+    }
 
-        // Set canvas resolution to its displayed size
+    /** Matches the canvas resolution to its displayed size. */
+    resize() {
         this.locCanvas.width = this.locCanvas.offsetWidth;
         this.locCanvas.height = this.locCanvas.offsetHeight;
         this.gsCanvas.width = this.gsCanvas.offsetWidth;
         this.gsCanvas.height = this.gsCanvas.offsetHeight;
-
         this.draw();
     }
 
@@ -26,6 +49,186 @@ class PARDisplay {
         this.drawGlideslope();
     }
 
+    /** @returns {number} - Width of both scopes in km. */
+    get rangeKm() {
+        return this.rangeNm * KM_PER_NM;
+    }
+
+    /**
+     * Simulation observer: redraws both scopes with the current traffic.
+     * @param {Simulation} sim - The shared simulation.
+     */
+    render(sim) {
+        // Nothing to do while the PAR view is hidden
+        if (this.locCanvas.offsetParent === null) return;
+        if (this.runwaySelect) syncRunwaySelect(this.runwaySelect, sim);
+        const runway = sim.getRunway(sim.runwayInUse);
+        if (!runway) return;
+        if (runway !== this.runway) {
+            // The scopes turn round with the runway in use; old history no longer applies
+            this.runway = runway;
+            this.history.clear();
+        }
+        this.rangeNm = sim.airport.parRangeNm;
+
+        const targets = this._targets(sim, runway);
+        if (sim.time - this.lastReportTime >= PAR_UPDATE_SEC || sim.time < this.lastReportTime) {
+            this._recordHistory(targets);
+            this.lastReportTime = sim.time;
+        }
+
+        this.draw();
+        for (const t of targets) {
+            const isSelected = sim.selected && sim.selected.id === t.id;
+            this._plotTarget(this.locCtx, this._history(t.id), this._azimuthPoint(t), t.callsign, isSelected);
+            this._plotTarget(this.gsCtx, this._history(t.id), this._elevationPoint(t), t.callsign, isSelected);
+        }
+        this._updateDataPanel(targets.find(t => sim.selected && sim.selected.id === t.id), sim.selected);
+    }
+
+    /**
+     * Computes PAR coordinates of every aircraft inside the PAR coverage.
+     * @private
+     * @returns {Array<Object>} - { id, callsign, ...deviations from computeDeviation }.
+     */
+    _targets(sim, runway) {
+        const targets = [];
+        for (const ac of sim.aircraft) {
+            const dev = computeDeviation(runway, ac.posKm, ac.altitudeFt);
+            if (dev.rangeKm <= 0 || dev.rangeKm > this.rangeKm) continue;
+            if (Math.abs(dev.azimuthDeg) > AZIMUTH_COVERAGE_DEG || dev.elevationDeg > ELEVATION_COVERAGE_DEG) continue;
+            targets.push({ id: ac.id, callsign: ac.callsign, ...dev });
+        }
+        return targets;
+    }
+
+    /** @private */
+    _recordHistory(targets) {
+        const ids = new Set(targets.map(t => t.id));
+        for (const id of this.history.keys()) {
+            if (!ids.has(id)) this.history.delete(id);
+        }
+        for (const t of targets) {
+            const dots = this.history.get(t.id) || [];
+            dots.unshift({ alongKm: t.alongKm, crossKm: t.crossKm, heightKm: t.heightKm });
+            if (dots.length > HISTORY_DOTS) dots.pop();
+            this.history.set(t.id, dots);
+        }
+    }
+
+    /** @private */
+    _history(id) {
+        return this.history.get(id) || [];
+    }
+
+    /**
+     * Scope scale shared with the static guides: the threshold sits one runway
+     * length from the right edge and both axes use the same px per km.
+     * @private
+     */
+    _scale(canvas) {
+        const pxPerKm = canvas.width / this.rangeKm;
+        return { pxPerKm, thresholdX: canvas.width - this.runway.lengthKm * pxPerKm };
+    }
+
+    /**
+     * Screen x of a range from touchdown, where the range readout is measured from.
+     * @private
+     */
+    _rangeX(canvas, nm) {
+        const { pxPerKm, thresholdX } = this._scale(canvas);
+        return thresholdX + (this.runway.tdzKm - nm * KM_PER_NM) * pxPerKm;
+    }
+
+    /** @private */
+    _azimuthPoint(p) {
+        const { pxPerKm, thresholdX } = this._scale(this.locCanvas);
+        // Right of course plots below the centreline, as seen by a pilot flying left to right
+        return { x: thresholdX - p.alongKm * pxPerKm, y: this.locCanvas.height / 2 + p.crossKm * pxPerKm };
+    }
+
+    /** @private */
+    _elevationPoint(p) {
+        const { pxPerKm, thresholdX } = this._scale(this.gsCanvas);
+        return { x: thresholdX - p.alongKm * pxPerKm, y: this.gsCanvas.height * 0.85 - p.heightKm * pxPerKm };
+    }
+
+    /**
+     * Draws history dots, the target symbol and its callsign on one scope.
+     * @private
+     */
+    _plotTarget(ctx, dots, point, callsign, isSelected) {
+        const toPoint = ctx === this.locCtx ? (d) => this._azimuthPoint(d) : (d) => this._elevationPoint(d);
+        const color = isSelected ? '#ff0' : '#50e3c2';
+        ctx.save();
+        dots.forEach((d, i) => {
+            const p = toPoint(d);
+            ctx.globalAlpha = 0.6 - (i / HISTORY_DOTS) * 0.45;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 2, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
+        ctx.fillRect(point.x - 4, point.y - 4, 8, 8);
+        if (isSelected) ctx.strokeRect(point.x - 8, point.y - 8, 16, 16);
+        ctx.font = '11px "Fira Code", monospace';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(callsign, point.x + 8, point.y - 6);
+        ctx.restore();
+    }
+
+    /**
+     * Selects the aircraft nearest to a click on either scope.
+     * @private
+     */
+    _selectAt(event, canvas, scope) {
+        const runway = this.runway;
+        if (!runway) return;
+        const rect = canvas.getBoundingClientRect();
+        const click = {
+            x: (event.clientX - rect.left) * (canvas.width / rect.width),
+            y: (event.clientY - rect.top) * (canvas.height / rect.height),
+        };
+        let best = null, bestD = 15; // px
+        for (const t of this._targets(SIM, runway)) {
+            const p = scope === 'azimuth' ? this._azimuthPoint(t) : this._elevationPoint(t);
+            const d = Math.hypot(p.x - click.x, p.y - click.y);
+            if (d < bestD) { bestD = d; best = t; }
+        }
+        if (best) SIM.selectByCallsign(best.callsign);
+    }
+
+    /**
+     * Shows range, deviations and the talkdown advisories of the selected aircraft.
+     * @private
+     */
+    _updateDataPanel(target, selected) {
+        if (!this.dataPanel) return;
+        const offset = (ft, m, pos, neg) => `${Math.abs(Math.round(ft))} ft / ${Math.abs(Math.round(m))} m ${ft >= 0 ? pos : neg}`;
+        const advisory = (text) => `<div class="${text.startsWith('well') ? 'par-advisory-well' : 'par-advisory'}">${text}</div>`;
+        let html;
+        if (!selected) html = 'No selection';
+        else if (!target) html = `<div><strong>${selected.callsign}</strong></div><div>Outside PAR coverage</div>`;
+        else {
+            html = `
+                <div><strong>${target.callsign}</strong></div>
+                <div>Range: ${target.rangeNm.toFixed(1)} NM from touchdown</div>
+                <div>Course: ${offset(target.lateralFt, target.lateralM, 'right', 'left')} (${Math.abs(target.azimuthDeg).toFixed(2)}°)</div>
+                <div>Glidepath: ${offset(target.verticalFt, target.verticalM, 'above', 'below')} (${Math.abs(target.elevationDevDeg).toFixed(2)}°)</div>
+                ${advisory(target.course)}
+                ${advisory(target.glidepath)}
+            `;
+        }
+        if (html !== this.lastPanelHtml) {
+            this.dataPanel.innerHTML = html;
+            this.lastPanelHtml = html;
+        }
+    }
+
     drawLocalizer() {
         const ctx = this.locCtx;
         const { width, height } = this.locCanvas;
@@ -33,14 +236,13 @@ class PARDisplay {
         // Clear canvas
         ctx.fillStyle = '#000';
         ctx.fillRect(0, 0, width, height);
+        if (!this.runway) return; // Airport data not loaded yet
 
-        const runwayLengthKm = 3.2;
-        const totalDisplayKm = 18.52; // 10 NM in km
-        const runwayLengthPx = (runwayLengthKm / totalDisplayKm) * width;
-        const coneStartX = width - runwayLengthPx;
+        // Same scale and origin as the plots and the range grid
+        const { thresholdX: coneStartX } = this._scale(this.locCanvas);
 
         // --- Fill inside of the corridor with a subtle color ---
-        const azimuthAngle = 2.5 * (Math.PI / 180); // 2.5 degrees corridor
+        const azimuthAngle = AZIMUTH_CORRIDOR_DEG * (Math.PI / 180); // Course corridor, see deviation.js
         const yOffsetAtLeft = coneStartX * Math.tan(azimuthAngle);
         ctx.fillStyle = '#081808'; // Dark green, slightly more contrast
         ctx.beginPath();
@@ -76,11 +278,11 @@ class PARDisplay {
         ctx.stroke();
         ctx.setLineDash([]);
 
-        // --- Runway Representation (3.2km solid line) ---
+        // --- Runway Representation (solid line, threshold to far end) ---
         ctx.strokeStyle = '#fff';
         ctx.lineWidth = 2;
         ctx.beginPath();
-        ctx.moveTo(width - runwayLengthPx, height / 2);
+        ctx.moveTo(coneStartX, height / 2);
         ctx.lineTo(width, height / 2);
         ctx.stroke();
 
@@ -88,11 +290,13 @@ class PARDisplay {
         ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
         ctx.font = '12px "Fira Code", monospace';
         ctx.textAlign = 'left';
-        for (let i = 1; i <= 10; i++) {
-            const x = width - (i * (width / 10));
-            
-            // Use a bolder line for the 10 NM and 6 NM markers
-            const isMajorLine = (i === 10 || i === 6);
+        for (let i = 1; i <= this.rangeNm; i++) {
+            // Ranges from touchdown, like the plots and the readout; the outermost may be off the scope
+            const x = this._rangeX(this.locCanvas, i);
+            if (x < 0) break;
+
+            // Use a bolder line for the outermost and 6 NM markers
+            const isMajorLine = (i === this.rangeNm || i === 6);
             ctx.strokeStyle = isMajorLine ? 'rgba(255, 255, 255, 0.25)' : 'rgba(255, 255, 255, 0.1)';
             ctx.lineWidth = 1;
             ctx.beginPath();
@@ -124,13 +328,13 @@ class PARDisplay {
         ctx.font = 'bold 13px "Segoe UI", sans-serif';
         const headingY = 25;
 
-        // 'Localizer' at 10 NM (left edge)
+        // 'Localizer' at the left edge
         ctx.textAlign = 'left';
-        ctx.fillText('Localizer', 10, headingY);
+        ctx.fillText(`Localizer ${this.runway.id}`, 10, headingY);
 
         // '6 ILS' at 6 NM
         ctx.textAlign = 'center';
-        ctx.fillText('6 ILS', width * 0.4, headingY);
+        ctx.fillText('6 ILS', this._rangeX(this.locCanvas, 6), headingY);
 
         ctx.fillText('Threshold', coneStartX, headingY);
     }
@@ -142,19 +346,17 @@ class PARDisplay {
         // Clear canvas
         ctx.fillStyle = '#000';
         ctx.fillRect(0, 0, width, height);
+        if (!this.runway) return; // Airport data not loaded yet
 
-        const runwayLengthKm = 3.2;
-        const totalDisplayKm = 18.52; // 10 NM in km
-        const runwayLengthPx = (runwayLengthKm / totalDisplayKm) * width;
-        const thresholdX = width - runwayLengthPx;
-        const touchdownDistKm = 0.3; // 300m touchdown zone
-        const touchdownDistPx = (touchdownDistKm / totalDisplayKm) * width;
-        const touchdownX = thresholdX + touchdownDistPx;
+        // Same scale and origin as the plots and the range grid
+        const { thresholdX } = this._scale(this.gsCanvas);
+        const touchdownX = this._rangeX(this.gsCanvas, 0); // Glidepath origin past the threshold
         const runwayY = height * 0.85; // Adjust vertical position for new canvas height
 
         // --- Fill inside of the glideslope corridor ---
-        const upperAngleFill = 4.0 * (Math.PI / 180); // Wider cone
-        const lowerAngleFill = 2.0 * (Math.PI / 180); // Wider cone
+        const glidepathDeg = this.runway.glidepathDeg;
+        const upperAngleFill = (glidepathDeg + GLIDEPATH_CORRIDOR_DEG) * (Math.PI / 180); // Glidepath corridor, see deviation.js
+        const lowerAngleFill = (glidepathDeg - GLIDEPATH_CORRIDOR_DEG) * (Math.PI / 180);
         const startYUpper = runwayY - Math.tan(upperAngleFill) * touchdownX;
         const startYLower = runwayY - Math.tan(lowerAngleFill) * touchdownX;
 
@@ -169,8 +371,8 @@ class PARDisplay {
         // --- Background Glideslope Guides (Safe Corridor) ---
         ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
         ctx.lineWidth = 1;
-        const upperAngle = 4.0 * (Math.PI / 180); // 4.0 degrees
-        const lowerAngle = 2.0 * (Math.PI / 180); // 2.0 degrees
+        const upperAngle = (glidepathDeg + GLIDEPATH_CORRIDOR_DEG) * (Math.PI / 180); // 4.0 degrees on a 3° path
+        const lowerAngle = (glidepathDeg - GLIDEPATH_CORRIDOR_DEG) * (Math.PI / 180); // 2.0 degrees on a 3° path
 
         const drawGuideLine = (angle) => {
             const startY = runwayY - Math.tan(angle) * touchdownX;
@@ -183,12 +385,12 @@ class PARDisplay {
         drawGuideLine(upperAngle); // Upper limit
         drawGuideLine(lowerAngle); // Lower limit
 
-        // --- Ideal Glideslope (3 degrees) ---
+        // --- Ideal Glideslope ---
         ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
         ctx.lineWidth = 2;
         ctx.setLineDash([10, 10]);
 
-        const angleRad = 3 * (Math.PI / 180); // 3 degrees in radians
+        const angleRad = glidepathDeg * (Math.PI / 180);
         const startX = 0;
         const startY = runwayY - Math.tan(angleRad) * touchdownX;
 
@@ -201,11 +403,11 @@ class PARDisplay {
         // --- Runway representation ---
         ctx.strokeStyle = '#fff';
         ctx.beginPath();
-        ctx.moveTo(width - runwayLengthPx, runwayY);
-        ctx.lineTo(width, runwayY); // Draw from 3.2km out to the edge
+        ctx.moveTo(thresholdX, runwayY);
+        ctx.lineTo(width, runwayY); // Draw from the threshold to the edge
         ctx.stroke();
         ctx.textAlign = 'left';
-        ctx.fillText("RWY", width - runwayLengthPx + 5, runwayY - 10);
+        ctx.fillText(`RWY ${this.runway.id}`, thresholdX + 5, runwayY - 10);
 
         // --- Vertical Range Grid Lines (matching Localizer) ---
         ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
@@ -213,11 +415,12 @@ class PARDisplay {
         ctx.textAlign = 'left';
         ctx.textBaseline = 'bottom';
 
-        for (let i = 1; i <= 10; i++) {
-            const x = width - (i * (width / 10));
-            
-            // Use a bolder line for the 10 NM and 6 NM markers
-            const isMajorLine = (i === 10 || i === 6);
+        for (let i = 1; i <= this.rangeNm; i++) {
+            const x = this._rangeX(this.gsCanvas, i);
+            if (x < 0) break;
+
+            // Use a bolder line for the outermost and 6 NM markers
+            const isMajorLine = (i === this.rangeNm || i === 6);
             ctx.strokeStyle = isMajorLine ? 'rgba(255, 255, 255, 0.25)' : 'rgba(255, 255, 255, 0.1)';
             ctx.lineWidth = 1;
             ctx.beginPath();
@@ -242,23 +445,37 @@ class PARDisplay {
         ctx.font = 'bold 13px "Segoe UI", sans-serif';
         const headingY = 25;
 
-        // 'Localizer' at 10 NM (left edge)
+        // 'Glidepath' at the left edge
         ctx.textAlign = 'left';
-        ctx.fillText('Localizer', 10, headingY);
+        ctx.fillText(`Glidepath ${glidepathDeg.toFixed(1)}°`, 10, headingY);
 
         // '6 ILS' at 6 NM
         ctx.textAlign = 'center';
-        ctx.fillText('6 ILS', width * 0.5, headingY); // Corresponds to 6NM on this view
+        ctx.fillText('6 ILS', this._rangeX(this.gsCanvas, 6), headingY);
         ctx.fillText('Threshold', thresholdX, headingY);
     }
 }
 
 
-// --- Initialization (called by app.js after view is loaded) ---
+let parDisplay = null;
+
+// --- Initialization (called by app.js each time the view is shown) ---
 export function initializeParDisplay() {
+    if (parDisplay) {
+        // The view was hidden; its canvases may have changed size
+        parDisplay.resize();
+        return;
+    }
     const localizerCanvas = document.getElementById('parLocalizerCanvas');
     const glideslopeCanvas = document.getElementById('parGlideslopeCanvas');
     if (localizerCanvas && glideslopeCanvas) {
-        new PARDisplay(localizerCanvas, glideslopeCanvas);
+        parDisplay = new PARDisplay(
+            localizerCanvas,
+            glideslopeCanvas,
+            document.getElementById('parRunwaySelect'),
+            document.getElementById('parDataPanel'),
+        );
+        // Driven by the shared animation loop in main.js
+        SIM.attach(parDisplay);
     }
 }
\ No newline at end of file
@@ -7,6 +7,7 @@
  * @module Display
  */
 import { THEME_COLORS, DISPLAY_CONFIG, SIM_CONFIG } from '../config.js';
+import { formatTimeToCpa } from '../core/stca.js';
 
 /**
  * Class for rendering the radar display.
@@ -25,8 +26,6 @@ export class Display {
     this.cy = canvas.height / 2;
     this.theme = {};
     this._loadThemeColors();
-    this.displayTargets = new Map(); // Stores the state of targets as seen on screen
-    this.lastSweepAngle = 0; // To detect when a sweep cycle completes
   }
 
   /** Reads theme colors from CSS variables to use in canvas drawing. */
@@ -47,96 +46,96 @@ export class Display {
     return { x: this.cx + this.kmToPx(posKm.x), y: this.cy - this.kmToPx(posKm.y) };
   }
 
-  render(aircraftList, radar, selected, displayOptions){
-    // This function now receives the LIVE aircraft list but will render from its own displayTargets map.
+  /**
+   * Renders one frame.
+   * @param {Array<Object>} tracks - Radar tracks (Tracker.getTracks), one per tracked target.
+   * @param {Object} radar - Radar state.
+   * @param {Object} selected - The selected aircraft, if any.
+   * @param {Object} displayOptions - Toggles from the UI.
+   * @param {Object} [mapData] - Map layers: { fixes, runways, runwayInUse }.
+   * @param {Array<Object>} [alerts] - Active STCA alerts (Stca.getAlerts).
+   */
+  render(tracks, radar, selected, displayOptions, mapData = {}, alerts = []){
+    // Targets are the tracker's tracks, not the live aircraft
     this.ctx.globalAlpha = 1.0; // Reset global alpha
     this.clear();
     this.ctx.save();
     this.ctx.translate(this.cx, this.cy);
 
-    // --- Update display targets based on sweep position ---
-    // A sweep cycle completes when it goes from a high value (e.g., 359) to a low one (e.g., 0).
-    // The original check was just `radar.sweepAngle < this.lastSweepAngle`.
-    // This more robust check prevents false triggers if the angle jitters slightly.
-    if (this.lastSweepAngle > 350 && radar.sweepAngle < 10) {
-      // Reset the update flag for all targets at the start of a new sweep
-      for (const target of this.displayTargets.values()) {
-        target.updatedThisSweep = false;
-      }
-    }
-
-    // Update the map of displayable targets with live data
-    aircraftList.forEach(liveAc => {
-      // Calculate bearing in navigational system (0=N, 90=E, clockwise)
-      // atan2(x, y) gives angle from North, clockwise.
-      const bearing = (Math.atan2(liveAc.posKm.x, liveAc.posKm.y) * 180 / Math.PI + 360) % 360;
-      const angleDiff = (radar.sweepAngle - bearing + 360) % 360;
-
-      let currentTarget = this.displayTargets.get(liveAc.id);
-      if (!currentTarget) {
-        // New aircraft, add it immediately
-        currentTarget = { ...liveAc, updatedThisSweep: true };
-        this.displayTargets.set(liveAc.id, currentTarget);
-      }
-
-      // Update the target if the sweep has passed it and it hasn't been updated this cycle
-      if (angleDiff < 10 && !currentTarget.updatedThisSweep) {
-        this.displayTargets.set(liveAc.id, { ...liveAc, updatedThisSweep: true });
-      }
-    });
-    this.lastSweepAngle = radar.sweepAngle;
-
-    this.renderRunways();
+    if (mapData.runways) this.renderRunways(mapData.runways, mapData.runwayInUse);
     this.renderGrid(radar.range);
     this._renderCompassRose(radar.range);
+    if (displayOptions.showFixes && mapData.fixes) this.renderFixes(mapData.fixes);
     this.renderSweep(radar.sweepAngle, radar.range);
 
-    // Render from the displayTargets map, which only updates on sweep hits
-    for (const data of this.displayTargets.values()){
+    this.flashOn = Math.floor(performance.now() / DISPLAY_CONFIG.flashPeriodMs) % 2 === 0;
+    const alerting = new Set(alerts.flatMap(a => a.trackIds));
+    this.renderConflicts(alerts, tracks);
+    // The hold the selected aircraft was cleared into, drawn where its track is
+    const selectedHold = selected ? selected.toFlightData().hold : null;
+    for (const data of tracks){
+      if (selectedHold && selected.id === data.aircraftId) this.renderHoldPattern(selectedHold);
       if (displayOptions.showTrails) this.renderTrails(data);
-      this.renderAircraft(data, selected, displayOptions);
+      this.renderAircraft(data, selected, displayOptions, alerting.has(data.id));
     }
 
     this.ctx.restore();
   }
 
-  renderRunways() {
-    // VGHS (Dhaka) Runway 14/32 is at 144 degrees.
-    const runway = {
-      heading: 144, // The correct heading for runway 14/32
-      lengthKm: 10.0, // Using a long visual length for prominence
-    };
+  /**
+   * Draws each runway from its threshold along its landing heading, numbers the
+   * thresholds, and extends the centreline of the runway in use on the approach side.
+   * @param {Array<Object>} runways - Runways from the Airport ({ id, headingDeg, thresholdKm, lengthKm }).
+   * @param {string} runwayInUse - Designator of the runway in use.
+   */
+  renderRunways(runways, runwayInUse) {
+    const toPx = (p) => ({ x: this.kmToPx(p.x), y: -this.kmToPx(p.y) });
+    const numberOffset = 20; // Distance of the runway number before the threshold (px)
 
     this.ctx.save();
-    // Convert navigational heading to canvas angle (0=E, CCW)
-    const rotationRad = (runway.heading - 90) * Math.PI / 180;
-    this.ctx.rotate(rotationRad);
-    const lengthPx = this.kmToPx(runway.lengthKm);
-
-    // Draw runway as a single, solid line
-    this.ctx.strokeStyle = this.theme.runway;
-    this.ctx.lineWidth = 2; // Make it slightly thicker to be visible
-    this.ctx.setLineDash([]); // Ensure the line is solid
-    this.ctx.beginPath();
-    this.ctx.moveTo(-lengthPx / 2, 0);
-    this.ctx.lineTo(lengthPx / 2, 0);
-    this.ctx.stroke();
-
-    // Draw runway numbers
-    this.ctx.fillStyle = this.theme.grid;
-    this.ctx.font = '12px Segoe UI'; // Make the font smaller and not bold
+    this.ctx.font = '12px Segoe UI';
     this.ctx.textAlign = 'center';
     this.ctx.textBaseline = 'middle';
-    const numberOffset = 20; // Distance from the runway end
-
-    // Runway 14 is at the "end" of the line in the 144-degree direction
-    // This is the approach end from the northwest (324°), so it gets the number '14'.
-    this.ctx.fillText('14', -lengthPx / 2 - numberOffset, 0);
+    for (const rwy of runways) {
+      const rad = rwy.headingDeg * Math.PI / 180;
+      const u = { x: Math.sin(rad), y: Math.cos(rad) }; // Landing direction, local km
+      const uPx = { x: u.x, y: -u.y }; // Same direction on the canvas
+      const thr = toPx(rwy.thresholdKm);
+      const lengthPx = this.kmToPx(rwy.lengthKm);
+
+      // Draw runway as a single, solid line
+      this.ctx.strokeStyle = this.theme.runway;
+      this.ctx.lineWidth = 2;
+      this.ctx.setLineDash([]);
+      this.ctx.beginPath();
+      this.ctx.moveTo(thr.x, thr.y);
+      this.ctx.lineTo(thr.x + uPx.x * lengthPx, thr.y + uPx.y * lengthPx);
+      this.ctx.stroke();
 
-    // Runway 32 is at the "start" of the line
-    // This is the approach end from the southeast (144°), so it gets the number '32'.
-    this.ctx.fillText('32', lengthPx / 2 + numberOffset, 0);
+      // The number sits before the threshold it is painted on
+      this.ctx.fillStyle = rwy.id === runwayInUse ? THEME_COLORS.accentGreen : this.theme.grid;
+      this.ctx.fillText(rwy.id, thr.x - uPx.x * numberOffset, thr.y - uPx.y * numberOffset);
 
+      if (rwy.id !== runwayInUse) continue;
+      // Extended centreline of the runway in use, ticked every NM out to 10 NM
+      const nmPx = this.kmToPx(1.852);
+      this.ctx.strokeStyle = THEME_COLORS.leaderLine;
+      this.ctx.lineWidth = 1;
+      this.ctx.setLineDash([6, 6]);
+      this.ctx.beginPath();
+      this.ctx.moveTo(thr.x - uPx.x * numberOffset * 1.5, thr.y - uPx.y * numberOffset * 1.5);
+      this.ctx.lineTo(thr.x - uPx.x * nmPx * 10, thr.y - uPx.y * nmPx * 10);
+      this.ctx.stroke();
+      this.ctx.setLineDash([]);
+      for (let nm = 1; nm <= 10; nm++) {
+        const c = { x: thr.x - uPx.x * nmPx * nm, y: thr.y - uPx.y * nmPx * nm };
+        const tick = nm % 5 === 0 ? 5 : 3;
+        this.ctx.beginPath();
+        this.ctx.moveTo(c.x - uPx.y * tick, c.y + uPx.x * tick);
+        this.ctx.lineTo(c.x + uPx.y * tick, c.y - uPx.x * tick);
+        this.ctx.stroke();
+      }
+    }
     this.ctx.restore();
   }
 
@@ -215,6 +214,93 @@ export class Display {
     this.ctx.restore();
   }
 
+  /**
+   * Draws navigation fixes and navaids with their names.
+   * @param {Array<Object>} fixes - Entries from the NavDatabase ({ name, type, posKm }).
+   */
+  renderFixes(fixes) {
+    this.ctx.save();
+    this.ctx.strokeStyle = THEME_COLORS.fix;
+    this.ctx.fillStyle = THEME_COLORS.fix;
+    this.ctx.lineWidth = 1;
+    this.ctx.font = "9px 'Segoe UI'";
+    this.ctx.textAlign = 'left';
+    this.ctx.textBaseline = 'middle';
+    const s = DISPLAY_CONFIG.fixSymbolSize;
+    for (const fix of fixes) {
+      const p = { x: this.kmToPx(fix.posKm.x), y: -this.kmToPx(fix.posKm.y) };
+      this.ctx.beginPath();
+      if (fix.type === 'NDB') {
+        this.ctx.arc(p.x, p.y, s * 0.8, 0, Math.PI * 2);
+      } else if (fix.type === 'VOR' || fix.type === 'VORDME') {
+        // Hexagon for VORs, boxed for co-located DME
+        for (let k = 0; k < 6; k++) {
+          const a = Math.PI / 3 * k;
+          this.ctx[k === 0 ? 'moveTo' : 'lineTo'](p.x + s * Math.cos(a), p.y + s * Math.sin(a));
+        }
+        this.ctx.closePath();
+        if (fix.type === 'VORDME') this.ctx.rect(p.x - s, p.y - s, s * 2, s * 2);
+      } else {
+        // Triangle for RNAV/intersection fixes
+        this.ctx.moveTo(p.x, p.y - s);
+        this.ctx.lineTo(p.x + s * 0.87, p.y + s * 0.5);
+        this.ctx.lineTo(p.x - s * 0.87, p.y + s * 0.5);
+        this.ctx.closePath();
+      }
+      this.ctx.stroke();
+      this.ctx.fillText(fix.name, p.x + s + 3, p.y);
+    }
+    this.ctx.restore();
+  }
+
+  /**
+   * Draws the racetrack of a holding aircraft as a dashed outline.
+   * @param {Object} hold - Hold summary from Aircraft.toFlightData ({ outline }).
+   */
+  renderHoldPattern(hold) {
+    if (!hold.outline || hold.outline.length < 2) return;
+    this.ctx.save();
+    this.ctx.strokeStyle = THEME_COLORS.fix;
+    this.ctx.lineWidth = 1;
+    this.ctx.setLineDash([4, 4]);
+    this.ctx.beginPath();
+    hold.outline.forEach((pt, k) => {
+      this.ctx[k === 0 ? 'moveTo' : 'lineTo'](this.kmToPx(pt.x), -this.kmToPx(pt.y));
+    });
+    this.ctx.stroke();
+    this.ctx.restore();
+  }
+
+  /**
+   * Joins each STCA pair with a red line labelled with time to CPA and predicted
+   * miss distance. Unacknowledged alerts blink.
+   * @param {Array<Object>} alerts - Active STCA alerts.
+   * @param {Array<Object>} tracks - Tracks, to find the pair's positions.
+   */
+  renderConflicts(alerts, tracks) {
+    const byId = new Map(tracks.map(t => [t.id, t]));
+    this.ctx.save();
+    this.ctx.strokeStyle = THEME_COLORS.accentRed;
+    this.ctx.fillStyle = THEME_COLORS.accentRed;
+    this.ctx.lineWidth = 1.5;
+    this.ctx.font = "bold 10px 'Segoe UI'";
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'bottom';
+    for (const alert of alerts) {
+      const a = byId.get(alert.trackIds[0]);
+      const b = byId.get(alert.trackIds[1]);
+      if (!a || !b || (!alert.acknowledged && !this.flashOn)) continue;
+      const pa = { x: this.kmToPx(a.posKm.x), y: -this.kmToPx(a.posKm.y) };
+      const pb = { x: this.kmToPx(b.posKm.x), y: -this.kmToPx(b.posKm.y) };
+      this.ctx.beginPath();
+      this.ctx.moveTo(pa.x, pa.y);
+      this.ctx.lineTo(pb.x, pb.y);
+      this.ctx.stroke();
+      this.ctx.fillText(`${formatTimeToCpa(alert.timeToCpaSec)} ${alert.missDistanceNm.toFixed(1)}NM`, (pa.x + pb.x) / 2, (pa.y + pb.y) / 2 - 3);
+    }
+    this.ctx.restore();
+  }
+
   renderTrails(data){
     if (!data.trail || data.trail.length === 0) return;
 
@@ -235,25 +321,74 @@ export class Display {
     }
   }
 
-  renderAircraft(data, selected, displayOptions) {
-    const p = { x: this.kmToPx(data.posKm.x), y: -this.kmToPx(data.posKm.y) }; // Use live posKm data
-    const isSelected = selected && selected.id === data.id;
+  renderAircraft(data, selected, displayOptions, inConflict = false) {
+    const p = { x: this.kmToPx(data.posKm.x), y: -this.kmToPx(data.posKm.y) }; // Smoothed track position
+    // The instructor's selection is an aircraft; highlight the track its plots feed
+    const isSelected = selected && selected.id === data.aircraftId;
+    const showVector = displayOptions.showHeading && data.heading !== null; // A new track has no velocity yet
+
+    if (data.primaryOnly) {
+      // No transponder reply: a plain plot symbol, nothing to put in a data block
+      this._renderPrimaryPlot(p, isSelected);
+      if (showVector) this._renderHeadingVector(p, data, isSelected);
+      return;
+    }
 
-    this._renderAircraftBlip(p, data, isSelected);
+    this._renderAircraftBlip(p, data, isSelected, inConflict);
+    if (data.ssr && data.ssr.ident && this.flashOn) this._renderIdentRing(p);
 
-    if (displayOptions.showHeading) {
+    if (showVector) {
       this._renderHeadingVector(p, data, isSelected);
     }
 
-    this._renderDataBlock(p, data, isSelected, displayOptions);
+    this._renderDataBlock(p, data, isSelected, displayOptions, inConflict);
   }
 
-  _renderAircraftBlip(p, data, isSelected) {
+  _renderAircraftBlip(p, data, isSelected, inConflict) {
     this.ctx.beginPath();
-    this.ctx.fillStyle = data.type === 'hypersonic' ? THEME_COLORS.accentOrange : (isSelected ? '#ff0' : THEME_COLORS.accentGreen);
+    const color = inConflict ? THEME_COLORS.accentRed : data.type === 'hypersonic' ? THEME_COLORS.accentOrange : (isSelected ? '#ff0' : THEME_COLORS.accentGreen);
     const size = isSelected ? DISPLAY_CONFIG.selectedBlipSize : DISPLAY_CONFIG.aircraftBlipSize;
     this.ctx.arc(p.x, p.y, size, 0, Math.PI * 2);
-    this.ctx.fill();
+    // A coasting track has no fresh plot behind it, so it is drawn hollow
+    if (data.coasting) {
+      this.ctx.strokeStyle = color;
+      this.ctx.stroke();
+    } else {
+      this.ctx.fillStyle = color;
+      this.ctx.fill();
+    }
+  }
+
+  /**
+   * Draws a primary-only target as a cross.
+   * @private
+   */
+  _renderPrimaryPlot(p, isSelected) {
+    const s = isSelected ? DISPLAY_CONFIG.selectedBlipSize : DISPLAY_CONFIG.aircraftBlipSize;
+    this.ctx.save();
+    this.ctx.strokeStyle = isSelected ? '#ff0' : THEME_COLORS.accentGreen;
+    this.ctx.lineWidth = 1.5;
+    this.ctx.beginPath();
+    this.ctx.moveTo(p.x - s, p.y - s);
+    this.ctx.lineTo(p.x + s, p.y + s);
+    this.ctx.moveTo(p.x + s, p.y - s);
+    this.ctx.lineTo(p.x - s, p.y + s);
+    this.ctx.stroke();
+    this.ctx.restore();
+  }
+
+  /**
+   * Draws the ring around a target that is squawking ident.
+   * @private
+   */
+  _renderIdentRing(p) {
+    this.ctx.save();
+    this.ctx.strokeStyle = '#fff';
+    this.ctx.lineWidth = 1;
+    this.ctx.beginPath();
+    this.ctx.arc(p.x, p.y, DISPLAY_CONFIG.selectedBlipSize * 2, 0, Math.PI * 2);
+    this.ctx.stroke();
+    this.ctx.restore();
   }
 
   _renderHeadingVector(p, data, isSelected) {
@@ -270,29 +405,45 @@ export class Display {
     this.ctx.stroke();
   }
 
-  _renderDataBlock(p, data, isSelected, displayOptions) {
+  _renderDataBlock(p, data, isSelected, displayOptions, inConflict) {
+    const showHeading = displayOptions.showHeading && data.heading !== null;
     const line1Parts = [];
     if (displayOptions.showID) line1Parts.push(data.callsign);
-    if (displayOptions.showHeading) line1Parts.push(`${Math.round(data.heading)}°`);
+    if (showHeading) line1Parts.push(`${Math.round(data.heading)}°`);
 
+    const ssr = data.ssr;
     const line2Parts = [];
-    if (displayOptions.showAltitude) line2Parts.push(`${Math.round(data.altitudeFt)}ft`);
-    if (displayOptions.showSpeed) line2Parts.push(`${Math.round(data.speedKts)}kts`);
+    if (ssr) line2Parts.push(ssr.code);
+    // Mode A replies carry no altitude
+    if (displayOptions.showAltitude && data.altitudeFt !== null) line2Parts.push(`${Math.round(data.altitudeFt)}ft`);
+    // Ground speed from the track
+    if (displayOptions.showSpeed && data.speedKts !== null) line2Parts.push(`${Math.round(data.speedKts)}kts`);
+    // Type and wake category from the flight data; the built-in profiles have no wake category
+    if (data.wake) line2Parts.push(`${data.type}/${data.wake}`);
+    if (data.coasting) line2Parts.push('CST');
 
     const line1 = line1Parts.join(' | ');
     const line2 = line2Parts.join(' | ');
+    // Under the block: TCAS advisories steady; ident and the special purpose codes blink
+    const tcas = data.tcas ? (data.tcas.advisory === 'RA' ? `RA ${data.tcas.sense === 'climb' ? 'CLB' : 'DES'}` : 'TA') : '';
+    const blink = ssr ? (ssr.emergency || (ssr.ident ? 'IDENT' : '')) : '';
+    const alert = [tcas, blink].filter(Boolean).join(' ');
+    const line3 = [tcas, this.flashOn ? blink : ''].filter(Boolean).join(' ');
 
-    if (line1 === '' && line2 === '') return;
+    if (line1 === '' && line2 === '' && !alert) return;
 
     const padding = { x: 5, y: 4 };
     const lineHeight = 12;
     const lineGap = 2;
-    const blockHeight = (line1 ? lineHeight : 0) + (line2 ? lineHeight : 0) + (line1 && line2 ? lineGap : 0) + (padding.y * 2);
+    const lineCount = (line1 ? 1 : 0) + (line2 ? 1 : 0) + (alert ? 1 : 0);
+    const blockHeight = lineCount * lineHeight + Math.max(0, lineCount - 1) * lineGap + (padding.y * 2);
 
+    this.ctx.font = "bold 10px 'Segoe UI'";
+    const line3Width = this.ctx.measureText(alert).width;
     this.ctx.font = "10px 'Segoe UI'";
     const line1Width = this.ctx.measureText(line1).width;
     const line2Width = this.ctx.measureText(line2).width;
-    const blockWidth = Math.max(line1Width, line2Width) + (padding.x * 2);
+    const blockWidth = Math.max(line1Width, line2Width, line3Width) + (padding.x * 2);
 
     const blockX = p.x + 12;
     const blockY = p.y - blockHeight;
@@ -302,9 +453,11 @@ export class Display {
     this.ctx.fillRect(blockX, blockY, blockWidth, blockHeight);
 
     // Draw text
-    this.ctx.fillStyle = isSelected ? '#ff0' : (data.type === 'hypersonic' ? THEME_COLORS.accentOrange : THEME_COLORS.accentGreen);
+    const emergency = ssr && ssr.emergency;
+    this.ctx.fillStyle = emergency || inConflict ? THEME_COLORS.accentRed : (isSelected ? '#ff0' : (data.type === 'hypersonic' ? THEME_COLORS.accentOrange : THEME_COLORS.accentGreen));
     const textY1 = blockY + padding.y + lineHeight - 2; // Adjust for text baseline
     const textY2 = textY1 + (line1 ? lineHeight + lineGap : 0);
+    const textY3 = textY2 + (line2 ? lineHeight + lineGap : 0);
 
     // Draw Line 1 with mixed weights
     if (line1) {
@@ -316,11 +469,11 @@ export class Display {
             currentX += this.ctx.measureText(data.callsign).width;
         }
         // Draw heading normal
-        if (displayOptions.showID && displayOptions.showHeading) {
+        if (displayOptions.showID && showHeading) {
             const separator = ' | ';
             this.ctx.font = "10px 'Segoe UI'";
             this.ctx.fillText(separator + `${Math.round(data.heading)}°`, currentX, textY1);
-        } else if (displayOptions.showHeading) { // Only heading is enabled
+        } else if (showHeading) { // Only heading is enabled
             this.ctx.font = "10px 'Segoe UI'";
             this.ctx.fillText(`${Math.round(data.heading)}°`, currentX, textY1);
         }
@@ -330,5 +483,12 @@ export class Display {
         this.ctx.font = "10px 'Segoe UI'";
         this.ctx.fillText(line2, blockX + padding.x, textY2);
     }
+    // Draw Line 3, the advisories and alerts
+    if (line3) {
+        this.ctx.font = "bold 10px 'Segoe UI'";
+        const tcasColor = data.tcas && data.tcas.advisory === 'TA' ? THEME_COLORS.accentOrange : '#fff';
+        this.ctx.fillStyle = (ssr && ssr.emergency) || (data.tcas && data.tcas.advisory === 'RA') ? THEME_COLORS.accentRed : tcasColor;
+        this.ctx.fillText(line3, blockX + padding.x, textY3);
+    }
   }
 }
\ No newline at end of file
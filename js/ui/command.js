@@ -1,10 +1,14 @@
 /**
  * Command parsing and dispatch helpers
  */
+// Transponder modes by the word used in "SQ <word>": squawk standby, altitude, normal, stop altitude
+const SQUAWK_MODES = { OFF: 'off', STBY: 'standby', ALT: 'C', NORM: 'C', NOALT: 'A' };
+const LEVEL_TOLERANCE_FT = 100; // Closer than this to its cleared altitude an aircraft counts as level
+
 /**
  * parseRawCommand - Inspired by ATC-SIM, this parser handles chained commands
  * and context-sensitive parameters.
- * e.g., "AC101 C 090 C 12 S 250"
+ * e.g., "AC101 L 090 C 12 EXP S 250"
  * returns { ok, command, error }
  */
 export function parseRawCommand(raw){
@@ -29,20 +33,115 @@ export function parseRawCommand(raw){
         commands.push({ type: 'set_heading', params: { heading: parseFloat(headingParam) } });
         i++;
         break;
+      case 'l': // Heading, turning left: L 270 (or TL 270)
+      case 'r': // Heading, turning right: R 090 (or TR 090)
+      case 'tl':
+      case 'tr': {
+        if (i >= commandParts.length) return { ok: false, error: `Expected heading for '${verb.toUpperCase()}'` };
+        const turnHeading = commandParts[i];
+        if (!/^\d{1,3}$/.test(turnHeading) || parseFloat(turnHeading) > 360) return { ok: false, error: `Invalid heading: ${turnHeading}` };
+        commands.push({ type: 'set_heading', params: { heading: parseFloat(turnHeading) % 360, direction: verb.endsWith('l') ? 'L' : 'R' } });
+        i++;
+        break;
+      }
+      case 'lt': // Turn left by degrees: LT 20
+      case 'rt': { // Turn right by degrees: RT 30
+        if (i >= commandParts.length) return { ok: false, error: `Expected degrees for '${verb.toUpperCase()}'` };
+        const degParam = commandParts[i];
+        const degrees = parseFloat(degParam);
+        if (!/^\d{1,3}$/.test(degParam) || degrees < 1 || degrees > 359) return { ok: false, error: `Invalid turn: ${degParam} degrees` };
+        const left = verb === 'lt';
+        commands.push({ type: 'set_heading', params: { heading: `relative_${left ? -degrees : degrees}`, direction: left ? 'L' : 'R' } });
+        i++;
+        break;
+      }
+      case 'fh': // Fly present heading
+        commands.push({ type: 'set_heading', params: { heading: 'relative_0' } });
+        break;
       case 'a': // Altitude
-        if (i >= commandParts.length) return { ok: false, error: "Expected parameter for 'A'" };
+      case 'c': // Climb to altitude
+      case 'd': { // Descend to altitude
+        if (i >= commandParts.length) return { ok: false, error: `Expected parameter for '${verb.toUpperCase()}'` };
         const altParam = commandParts[i];
         if (!/^\d{1,3}$/.test(altParam)) return { ok: false, error: `Invalid altitude: ${altParam}` };
         // Altitude is given in hundreds of feet (e.g., 90 for 9000ft) or thousands (e.g. 9 for 9000ft)
         const altValue = parseFloat(altParam) * (altParam.length > 2 ? 100 : 1000);
-        commands.push({ type: 'set_altitude', params: { altitude: altValue } });
+        commands.push({ type: { a: 'set_altitude', c: 'climb_to', d: 'descend_to' }[verb], params: { altitude: altValue } });
         i++;
         break;
-      case 's': // Speed
+      }
+      case 'exp': // Expedite the climb or descent
+        commands.push({ type: 'expedite', params: {} });
+        break;
+      case 's': // Speed, indicated airspeed in knots
         if (i >= commandParts.length) return { ok: false, error: "Expected parameter for 'S'" };
         commands.push({ type: 'set_speed', params: { speed: parseFloat(commandParts[i]) } });
         i++;
         break;
+      case 'm': { // Mach: M 78 (hundredths), M .78, M 0.78 or M 6.5
+        if (i >= commandParts.length) return { ok: false, error: "Expected parameter for 'M'" };
+        const machParam = commandParts[i];
+        if (!/^(\d{2}|\d*\.\d{1,2})$/.test(machParam)) return { ok: false, error: `Invalid Mach number: ${machParam}` };
+        const mach = machParam.includes('.') ? parseFloat(machParam) : parseFloat(machParam) / 100;
+        if (mach <= 0) return { ok: false, error: `Invalid Mach number: ${machParam}` };
+        commands.push({ type: 'set_mach', params: { mach } });
+        i++;
+        break;
+      }
+      case 'ron': // Resume own navigation
+        commands.push({ type: 'resume_own_nav', params: {} });
+        break;
+      case 'dct': // Direct to fix
+        if (i >= commandParts.length) return { ok: false, error: "Expected fix name for 'DCT'" };
+        if (!/^[A-Z0-9]{2,6}$/.test(commandParts[i])) return { ok: false, error: `Invalid fix name: ${commandParts[i]}` };
+        commands.push({ type: 'direct_to', params: { fix: commandParts[i] } });
+        i++;
+        break;
+      case 'ils': // Cleared ILS approach runway <rwy>
+        if (i >= commandParts.length) return { ok: false, error: "Expected runway for 'ILS'" };
+        if (!/^\d{2}[LCR]?$/.test(commandParts[i])) return { ok: false, error: `Invalid runway: ${commandParts[i]}` };
+        commands.push({ type: 'clear_approach', params: { runway: commandParts[i] } });
+        i++;
+        break;
+      case 'clr': // CLR APP - cleared approach to the runway in use
+        if (commandParts[i] !== 'APP') return { ok: false, error: "Expected 'CLR APP'" };
+        commands.push({ type: 'clear_approach', params: {} });
+        i++;
+        break;
+      case 'hold': { // Hold at fix: HOLD <fix> [inbound course] [L|R] [leg minutes]
+        if (i >= commandParts.length) return { ok: false, error: "Expected fix name for 'HOLD'" };
+        if (!/^[A-Z0-9]{2,6}$/.test(commandParts[i])) return { ok: false, error: `Invalid fix name: ${commandParts[i]}` };
+        const hold = { fix: commandParts[i] };
+        i++;
+        if (i < commandParts.length && /^\d{3}$/.test(commandParts[i])) {
+          const course = parseFloat(commandParts[i]);
+          if (course < 1 || course > 360) return { ok: false, error: `Invalid inbound course: ${commandParts[i]}` };
+          hold.inboundCourse = course % 360;
+          i++;
+        }
+        if (i < commandParts.length && /^[LR]$/.test(commandParts[i])) {
+          hold.turn = commandParts[i];
+          i++;
+        }
+        if (i < commandParts.length && /^\d(\.\d)?$/.test(commandParts[i])) {
+          const minutes = parseFloat(commandParts[i]);
+          if (minutes < 0.5 || minutes > 5) return { ok: false, error: `Invalid leg time: ${commandParts[i]} min` };
+          hold.legTimeSec = minutes * 60;
+          i++;
+        }
+        commands.push({ type: 'hold', params: hold });
+        break;
+      }
+      case 'sq': // Squawk: SQ <code> or SQ OFF|STBY|ALT|NORM|NOALT
+        if (i >= commandParts.length) return { ok: false, error: "Expected code for 'SQ'" };
+        if (/^[0-7]{4}$/.test(commandParts[i])) commands.push({ type: 'squawk', params: { code: commandParts[i] } });
+        else if (commandParts[i] in SQUAWK_MODES) commands.push({ type: 'squawk', params: { mode: SQUAWK_MODES[commandParts[i]] } });
+        else return { ok: false, error: `Invalid squawk: ${commandParts[i]} (four digits 0-7, or OFF/STBY/ALT/NORM/NOALT)` };
+        i++;
+        break;
+      case 'ident': // Squawk ident
+        commands.push({ type: 'ident', params: {} });
+        break;
       default:
         return { ok: false, error: `Unknown command verb: ${verb.toUpperCase()}` };
     }
@@ -58,11 +157,31 @@ export function validateCommand(command, sim){
   const ac = sim.getAircraftByCallsign(command.callsign);
   if (!ac) return { ok:false, reason:'unknown callsign' };
   // simple forbid extreme altitude for non-VGHS
-  if ((command.type==='climb_to' || command.type==='descend_to') && ac.type !== 'hypersonic' ){
+  const isAltitude = command.type === 'set_altitude' || command.type === 'climb_to' || command.type === 'descend_to';
+  if (isAltitude && ac.type !== 'hypersonic' ){
     if (command.params.altitude > 100000) return { ok:false, reason:'altitude too high' };
   }
-  // speed checks
-  if (command.type === 'set_speed' && command.params.speed > ac.profile.maxSpeed * 1.2) return { ok:false, reason:'speed exceeds limits' };
+  // climb and descend must go the way they say
+  if (command.type === 'climb_to' && command.params.altitude <= ac.altitudeFt) return { ok:false, reason:`already at or above ${command.params.altitude} ft` };
+  if (command.type === 'descend_to' && command.params.altitude >= ac.altitudeFt) return { ok:false, reason:`already at or below ${command.params.altitude} ft` };
+  // expedite needs a climb or descent to expedite
+  if (command.type === 'expedite' && Math.abs(ac.target.altitude - ac.altitudeFt) < LEVEL_TOLERANCE_FT) return { ok:false, reason:'no climb or descent to expedite' };
+  // the aircraft type's envelope
+  const profile = ac.profile;
+  if (isAltitude && profile.ceilingFt && command.params.altitude > profile.ceilingFt) return { ok:false, reason:`above the ${ac.type} ceiling of ${profile.ceilingFt} ft` };
+  if (command.type === 'set_speed' && command.params.speed > profile.maxSpeed) return { ok:false, reason:`speed exceeds ${ac.type} maximum of ${profile.maxSpeed} kts` };
+  if (command.type === 'set_speed' && profile.minSpeed && command.params.speed < profile.minSpeed) return { ok:false, reason:`speed below ${ac.type} minimum of ${profile.minSpeed} kts` };
+  if (command.type === 'set_mach' && profile.maxMach && command.params.mach > profile.maxMach) return { ok:false, reason:`Mach exceeds ${ac.type} maximum of M${profile.maxMach}` };
+  // a type without a Mach limit (turboprops, helicopters) is held to its IAS limit
+  if (command.type === 'set_mach' && !profile.maxMach && sim.env.iasFromTas(sim.env.tasFromMach(command.params.mach, ac.altitudeFt), ac.altitudeFt) > profile.maxSpeed) return { ok:false, reason:`Mach ${command.params.mach} is beyond the ${ac.type} maximum of ${profile.maxSpeed} kts here` };
+  // resuming the route needs a route to resume
+  if (command.type === 'resume_own_nav' && !(ac.flightPlan && ac.flightPlan.activeFix)) return { ok:false, reason:'no flight plan route to resume' };
+  // the runway must exist and have an approach
+  if (command.type === 'clear_approach' && !sim.getRunway(command.params.runway ?? sim.runwayInUse)) return { ok:false, reason:`unknown runway ${command.params.runway}` };
+  // ident needs a transponder that is replying
+  if (command.type === 'ident' && !ac.transponder.replying) return { ok:false, reason:'transponder is not on' };
+  // fix must exist in the nav database
+  if ((command.type === 'direct_to' || command.type === 'hold') && !sim.navdata.get(command.params.fix)) return { ok:false, reason:`unknown fix ${command.params.fix}` };
   return { ok:true };
 }
 
@@ -72,11 +191,24 @@ export function validateCommand(command, sim){
 export function dispatchCommand(command, sim){
   const ac = sim.getAircraftByCallsign(command.callsign);
   if (!ac) return { accepted:false, reason:'not found' };
-  // normalize relative headings if provided
+  // normalize relative headings (LT/RT/FH) against the present heading
   if (typeof command.params.heading === 'string' && command.params.heading.startsWith('relative_')) {
     const delta = parseFloat(command.params.heading.split('_')[1]);
     command.params.heading = (ac.heading + delta + 360) % 360;
   }
+  // resolve fix names to positions
+  if (command.type === 'direct_to') {
+    const fix = sim.navdata.get(command.params.fix);
+    command.params.waypoint = { name: fix.name, posKm: { ...fix.posKm } };
+  }
+  if (command.type === 'clear_approach') {
+    command.params.runway = sim.getRunway(command.params.runway ?? sim.runwayInUse);
+    command.params.missedApproachAltitudeFt = sim.airport.missedApproachAltitudeFt;
+  }
+  if (command.type === 'hold') {
+    const fix = sim.navdata.get(command.params.fix);
+    command.params.fix = { name: fix.name, posKm: { ...fix.posKm } };
+  }
   const res = ac.applyCommand(command);
   return res;
 }
@@ -20,6 +20,8 @@ export class Diorama {
 
         this.ctx = this.canvas.getContext('2d');
         this.currentScenario = 'landing';
+        // Runway numbers: the end the aircraft lands on / departs from is on the left
+        this.runwayIds = { left: '', right: '' };
 
         // Load the aircraft image
         this.aircraftImage = new Image();
@@ -53,6 +55,16 @@ export class Diorama {
         this.draw();
     }
 
+    /**
+     * Sets the runway numbers painted on the runway, from the airport data.
+     * @param {string} inUse - Runway in use (left end, flown left to right).
+     * @param {string} reciprocal - Opposite end (right end).
+     */
+    setRunways(inUse, reciprocal) {
+        this.runwayIds = { left: inUse || '', right: reciprocal || '' };
+        if (this.ctx) this.draw();
+    }
+
     lerp(a, b, t) {
         return a + (b - a) * t;
     }
@@ -243,19 +255,19 @@ export class Diorama {
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
         
-        // Rotate and draw "14"
+        // Rotate and draw the runway in use
         const numPadding = 28;
         this.ctx.save();
         this.ctx.translate(runwayStart + numPadding, runwayY);
         this.ctx.rotate(Math.PI / 2);
-        this.ctx.fillText('14', 0, 0);
+        this.ctx.fillText(this.runwayIds.left, 0, 0);
         this.ctx.restore();
 
-        // Rotate and draw "32"
+        // Rotate and draw the reciprocal
         this.ctx.save();
         this.ctx.translate(runwayEnd - numPadding, runwayY);
         this.ctx.rotate(-Math.PI / 2); // Rotate in the opposite direction
-        this.ctx.fillText('32', 0, 0);
+        this.ctx.fillText(this.runwayIds.right, 0, 0);
         this.ctx.restore();
 
         // --- Draw Aircraft Shadow ---
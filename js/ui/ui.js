@@ -6,6 +6,41 @@
  * @module UI
  */
 import { THEME_COLORS } from '../config.js';
+import { fetchScenario, loadScenario } from '../core/scenario.js';
+import { formatLatLon, formatRadialDme } from '../core/geo.js';
+import { formatTimeToCpa } from '../core/stca.js';
+import { TURBULENCE_LEVELS, formatWind } from '../core/environment.js';
+
+const SCENARIO_DIR = 'data/scenarios/';
+const STCA_TONE_INTERVAL_MS = 2000; // The tone repeats while any alert is unacknowledged
+const NEW_WIND_LAYER_STEP_FT = 5000; // A layer added in the environment panel starts this far above the top one
+
+/**
+ * Formats a simulation time as T+mm:ss (or T+h:mm:ss past the hour).
+ * @param {number} sec - Simulation time in seconds.
+ * @returns {string}
+ */
+export function formatSimTime(sec) {
+  const total = Math.floor(sec);
+  const h = Math.floor(total / 3600);
+  const m = String(Math.floor(total / 60) % 60).padStart(2, '0');
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `T+${h}:${m}:${s}` : `T+${m}:${s}`;
+}
+
+/**
+ * Keeps a runway picker in step with the airport's runways and the runway in use.
+ * Both the ASR session panel and the PAR view use one.
+ * @param {HTMLSelectElement} select - The picker.
+ * @param {Simulation} sim - The shared simulation.
+ */
+export function syncRunwaySelect(select, sim) {
+  const ids = sim.airport.runways.map(r => r.id);
+  if (select.options.length !== ids.length || ids.some((id, i) => select.options[i].value !== id)) {
+    select.innerHTML = ids.map(id => `<option value="${id}">Runway ${id}</option>`).join('');
+  }
+  if (sim.runwayInUse && select.value !== sim.runwayInUse) select.value = sim.runwayInUse;
+}
 
 /**
  * Class for handling UI interactions.
@@ -32,14 +67,18 @@ export class UI {
 
     // UI elements
     this.addAircraftBtn = document.getElementById("addAircraftBtn");
+    this.spawnTypeSelect = document.getElementById("spawnTypeSelect");
     this.addVGHSAircraftBtn = document.getElementById("addVGHSAircraftBtn");
     this.removeAircraftBtn = document.getElementById("removeAircraftBtn");
+    this.toggleAutoResolve = document.getElementById("toggleAutoResolve");
     this.radarRangeInput = document.getElementById("radarRangeInput");
     this.toggleID = document.getElementById("toggleID");
     this.toggleSpeed = document.getElementById("toggleSpeed");
     this.toggleAltitude = document.getElementById("toggleAltitude");
     this.toggleHeading = document.getElementById("toggleHeading");
     this.toggleTrails = document.getElementById("toggleTrails");
+    this.toggleFixes = document.getElementById("toggleFixes");
+    this.toggleStcaTone = document.getElementById("toggleStcaTone");
 
     // GUI Command Panel elements
     this.guiCommandPanel = document.getElementById('guiCommandPanel');
@@ -50,8 +89,85 @@ export class UI {
     this.guiCmdSpeed = document.getElementById('guiCmdSpeed');
     this.guiSendSpeed = document.getElementById('guiSendSpeed');
 
+    // Session panel elements
+    this.simClock = document.getElementById('simClock');
+    this.pauseBtn = document.getElementById('pauseBtn');
+    this.stepBtn = document.getElementById('stepBtn');
+    this.endExerciseBtn = document.getElementById('endExerciseBtn');
+    this.timeScaleBtns = document.querySelectorAll('.time-scale-btn');
+    this.seedReadout = document.getElementById('seedReadout');
+    this.seedInput = document.getElementById('seedInput');
+    this.seedRestartBtn = document.getElementById('seedRestartBtn');
+    this.runwaySelect = document.getElementById('runwaySelect');
+    this.scenarioSelect = document.getElementById('scenarioSelect');
+    this.scenarioLoadBtn = document.getElementById('scenarioLoadBtn');
+    this.scenarioErrors = document.getElementById('scenarioErrors');
+    this.logPanel = document.getElementById('logPanel');
+    this.renderedLog = null; // The log array and length last drawn into the log panel
+    this.stcaPanel = document.getElementById('stcaPanel');
+    this.scorePanel = document.getElementById('scorePanel');
+    this.renderedScore = null; // HTML last drawn into the score panel
+    this.renderedAlerts = null; // HTML last drawn into the STCA panel
+    this.audioCtx = null; // Created when the STCA tone is switched on (needs a user gesture)
+    this.lastToneAt = 0;
+
+    // Environment panel elements
+    this.envPanel = document.getElementById('envPanel');
+    this.envReadout = document.getElementById('envReadout');
+    this.envWindLayers = document.getElementById('envWindLayers');
+    this.envAddLayerBtn = document.getElementById('envAddLayerBtn');
+    this.envGust = document.getElementById('envGust');
+    this.envTurbulence = document.getElementById('envTurbulence');
+    this.envQnh = document.getElementById('envQnh');
+    this.envTemp = document.getElementById('envTemp');
+    this.envApplyBtn = document.getElementById('envApplyBtn');
+    this.envTurbulence.innerHTML = TURBULENCE_LEVELS.map(level => `<option value="${level}">${level}</option>`).join('');
+    this.renderedEnv = null; // Settings last filled into the environment panel, as JSON
+
     this._loadThemeColors();
     this._setupEventListeners();
+    this._populateScenarioList();
+  }
+
+  /** Fills the scenario picker from data/scenarios/index.json. */
+  async _populateScenarioList() {
+    try {
+      const response = await fetch(`${SCENARIO_DIR}index.json`);
+      if (!response.ok) throw new Error(`Could not load ${SCENARIO_DIR}index.json`);
+      const entries = await response.json();
+      for (const entry of entries) {
+        const option = document.createElement('option');
+        option.value = entry.file;
+        option.textContent = entry.name;
+        this.scenarioSelect.appendChild(option);
+      }
+    } catch (error) {
+      console.error('Failed to load scenario list:', error);
+    }
+  }
+
+  /** Loads the scenario chosen in the picker, or switches back to random traffic. */
+  async _loadSelectedScenario() {
+    const file = this.scenarioSelect.value;
+    this.scenarioErrors.textContent = '';
+    if (!file) {
+      this.simulation.reset(this.simulation.seed, null);
+      return;
+    }
+    let result;
+    try {
+      const fetched = await fetchScenario(SCENARIO_DIR + file);
+      result = fetched.ok ? loadScenario(this.simulation, fetched.data) : fetched;
+    } catch (error) {
+      console.error('Failed to load scenario:', error);
+      result = { ok: false, errors: [{ path: file, message: error.message }] };
+    }
+    // Messages can quote the file, so they go in as text, never as markup
+    for (const e of result.errors) {
+      const row = document.createElement('div');
+      row.textContent = `${e.path}: ${e.message}`;
+      this.scenarioErrors.appendChild(row);
+    }
   }
 
   /** Reads theme colors from CSS variables to use in canvas drawing. */
@@ -69,7 +185,7 @@ export class UI {
 
   /**
    * Returns current display options based on UI toggles.
-   * @returns {Object} - Display options (showID, showSpeed, showAltitude, showHeading, showTrails).
+   * @returns {Object} - Display options (showID, showSpeed, showAltitude, showHeading, showTrails, showFixes).
    */
   getDisplayOptions() {
     return {
@@ -78,17 +194,24 @@ export class UI {
       showAltitude: this.toggleAltitude.checked,
       showHeading: this.toggleHeading.checked,
       showTrails: this.toggleTrails.checked,
+      showFixes: this.toggleFixes.checked,
     };
   }
 
   _on(evt, cb){ this.handlers[evt] = this.handlers[evt] || []; this.handlers[evt].push(cb); }
   _emit(evt, arg){ (this.handlers[evt]||[]).forEach(cb=>cb(arg)); }
 
-  updateSelection(data){
+  /**
+   * Refreshes the selected-target data panel: surveillance data from the target's
+   * track, flight plan and clearances from the flight data.
+   * @param {Object|null} track - Track of the selected aircraft (Tracker.getTracks), null if the radar has none.
+   * @param {Object|null} flight - Aircraft.toFlightData of the selected aircraft, null if nothing is selected.
+   */
+  updateSelection(track, flight){
     const el = document.getElementById('dataPanel');
     const cmdInput = document.getElementById('cmdInput');
 
-    if (!data) {
+    if (!flight) {
       el.textContent = 'No selection';
       this.guiCommandPanel.style.display = 'none'; // Hide command panel
       // Clear callsign from command input if nothing is selected
@@ -100,26 +223,237 @@ export class UI {
     // This prevents overwriting user input.
     const parts = cmdInput.value.trim().split(/\s+/);
     if (parts.length <= 1) { // If input is empty or just contains a callsign
-      cmdInput.value = data.callsign + ' ';
+      cmdInput.value = flight.callsign + ' ';
       cmdInput.focus(); // Set focus to the input for immediate typing
     }
 
     // Show command panel if it was hidden
     this.guiCommandPanel.style.display = 'block';
+    const projection = this.simulation.projection;
+    const round = (value) => value === null ? '-' : Math.round(value);
     el.innerHTML = `
-      <div><strong>${data.callsign}</strong> ${data.isHypersonic?'(Hypersonic)':''}</div>
-      <div>Speed: ${Math.round(data.speedKts)} kts</div>
-      <div>Alt: ${Math.round(data.altitudeFt)} ft</div>
-      <div>Heading: ${Math.round(data.heading)}°</div>
+      <div><strong>${flight.callsign}</strong> ${flight.isHypersonic?'(Hypersonic)':''}</div>
+      <div>Type: ${flight.type} ${flight.typeName}${flight.wake ? `, wake ${flight.wake}` : ''}</div>
+      ${track ? `
+        <div>Squawk: ${this._transponderText(track.ssr)}</div>
+        <div>Alt: ${round(track.altitudeFt)} ft${track.coasting ? ' (CST)' : ''}</div>
+        <div>GS: ${round(track.speedKts)} kts Track: ${round(track.heading)}°${flight.waypoint ? ` DCT ${flight.waypoint}` : ''}</div>
+        <div>Pos: ${formatLatLon(projection.toGeo(track.posKm))}</div>
+        <div>${projection.site.name}: ${formatRadialDme(projection.toRadialDme(track.posKm))} NM</div>
+        ${track.tcas ? `<div class="data-emergency">TCAS ${track.tcas.advisory}${track.tcas.sense ? ` ${track.tcas.sense}` : ''}, traffic ${track.tcas.intruder}</div>` : ''}
+      ` : '<div>No radar contact</div>'}
+      ${flight.approach ? `<div>ILS ${flight.approach.runway}: ${{ armed: 'cleared, LOC armed', localizer: 'LOC captured', glideslope: 'LOC/GS captured' }[flight.approach.phase]}</div>` : ''}
+      ${flight.hold ? this._holdHtml(flight.hold) : ''}
+      ${flight.flightPlan ? this._flightPlanHtml(flight.flightPlan) : ''}
+      ${flight.emergency ? `<div class="data-emergency">EMERGENCY: ${flight.emergency}</div>` : ''}
     `;
   }
 
   /**
-   * Renders a dynamic vertical graph of all aircraft altitudes on the left of the radar.
-   * @param {Array<Aircraft>} aircraftList - The list of all aircraft in the simulation.
+   * Formats the transponder line of the data panel, e.g. "4521 Mode C IDENT".
+   * @param {Object|null} ssr - Transponder reply of the track's latest plot, null for a primary-only plot.
+   * @returns {string}
+   */
+  _transponderText(ssr) {
+    if (!ssr) return 'no reply (primary only)';
+    return `${ssr.code} Mode ${ssr.mode}${ssr.ident ? ' IDENT' : ''}${ssr.emergency ? ` (${ssr.emergency})` : ''}`;
+  }
+
+  /**
+   * Formats the holding section of the data panel.
+   * @param {Object} hold - Hold summary from Aircraft.toFlightData.
+   * @returns {string} - HTML.
+   */
+  _holdHtml(hold) {
+    const course = String(Math.round(hold.inboundCourse) || 360).padStart(3, '0');
+    const phase = hold.phase.replace(/_/g, ' ');
+    return `<div>Hold: ${hold.fix} ${course}° ${hold.turn === 'L' ? 'left' : 'right'} turns, ${phase}${hold.entry ? ` (${hold.entry} entry)` : ''}</div>`;
+  }
+
+  /**
+   * Formats the flight plan section of the data panel.
+   * @param {Object} fp - Flight plan summary from Aircraft.toFlightData.
+   * @returns {string} - HTML.
+   */
+  _flightPlanHtml(fp) {
+    const cruise = fp.cruiseAltitudeFt ? ` ${Math.round(fp.cruiseAltitudeFt)} ft` : '';
+    const leg = fp.leg ? `${fp.leg.from} → ${fp.leg.to}` : (fp.complete ? 'Route complete' : 'Vectors');
+    return `
+      <div>FPL: ${fp.departure || '----'} → ${fp.destination || '----'}${cruise}</div>
+      <div>Leg: ${leg}${fp.leg && fp.nextFix ? `, next ${fp.nextFix}` : ''}</div>
+    `;
+  }
+
+  /**
+   * Refreshes the session panel (clock, time controls, seed readout, runway in use, auto-resolution)
+   * and the spawn type picker, which fills once the type database has loaded.
+   */
+  updateSession() {
+    const sim = this.simulation;
+    const clockText = formatSimTime(sim.time);
+    if (this.simClock.textContent !== clockText) this.simClock.textContent = clockText;
+    this.pauseBtn.textContent = sim.isRunning ? 'Pause' : 'Resume';
+    this.stepBtn.disabled = sim.isRunning;
+    this.timeScaleBtns.forEach(btn => btn.classList.toggle('active', Number(btn.dataset.scale) === sim.timeScale));
+    const seedText = String(sim.seed);
+    if (this.seedReadout.textContent !== seedText) this.seedReadout.textContent = seedText;
+    syncRunwaySelect(this.runwaySelect, sim);
+    this.toggleAutoResolve.checked = sim.autoResolve;
+    const types = sim.aircraftTypes.all();
+    if (this.spawnTypeSelect.options.length !== types.length) {
+      this.spawnTypeSelect.innerHTML = types.map(t => `<option value="${t.id}">${t.id} ${t.name}</option>`).join('');
+    }
+  }
+
+  /**
+   * Refreshes the STCA alert list and sounds the tone while an alert is unacknowledged.
+   */
+  updateAlerts() {
+    const alerts = this.simulation.stca.getAlerts();
+    const html = alerts.length === 0 ? 'No alerts' : alerts.map(a => `
+      <div class="stca-alert${a.acknowledged ? '' : ' unacknowledged'}">
+        <span>${a.callsigns.join(' / ')} ${formatTimeToCpa(a.timeToCpaSec)} ${a.missDistanceNm.toFixed(1)}NM ${Math.round(a.verticalFt / 100) * 100}ft</span>
+        ${a.acknowledged ? '<span>ACK</span>' : `<button data-ack-key="${a.key}">ACK</button>`}
+      </div>`).join('');
+    if (html !== this.renderedAlerts) {
+      this.stcaPanel.innerHTML = html;
+      this.renderedAlerts = html;
+    }
+    const now = performance.now();
+    if (this.toggleStcaTone.checked && alerts.some(a => !a.acknowledged) && now - this.lastToneAt > STCA_TONE_INTERVAL_MS) {
+      this.lastToneAt = now;
+      this._playTone();
+    }
+  }
+
+  /**
+   * Refreshes the session score: totals, then each separation loss.
+   */
+  updateScore() {
+    const sim = this.simulation;
+    const score = sim.score.summary(sim.time);
+    const row = (label, value) => `<div class="score-row"><span>${label}</span><span>${value}</span></div>`;
+    const html = row('Separation losses', `${score.losses} (${Math.round(score.lossSeconds)} s)`)
+      + row('Near misses', score.nearMisses)
+      + row('Commands issued', score.commandsIssued)
+      + row('Aircraft landed', score.aircraftLanded)
+      + score.events.map(loss => `<div class="score-loss">${formatSimTime(loss.start)}-${loss.end === null ? 'now' : formatSimTime(loss.end).slice(2)} `
+        + `${loss.callsigns.join('/')} ${(loss.minLateralKm / 1.852).toFixed(1)}NM ${Math.round(loss.minVerticalFt)}ft${loss.nearMiss ? ' NEAR MISS' : ''}</div>`).join('');
+    if (html !== this.renderedScore) {
+      this.scorePanel.innerHTML = html;
+      this.renderedScore = html;
+    }
+  }
+
+  /**
+   * Refreshes the environment panel: the wind the surface has right now, and the
+   * settings whenever they changed (a scenario, an event, or Apply). Settings are
+   * not overwritten while the instructor is editing them.
+   */
+  updateEnvironment() {
+    const env = this.simulation.env;
+    const readout = formatWind(env.windAt(0));
+    if (this.envReadout.textContent !== readout) this.envReadout.textContent = readout;
+    const settings = env.settings();
+    const json = JSON.stringify(settings);
+    if (json === this.renderedEnv || this.envPanel.contains(document.activeElement)) return;
+    this.renderedEnv = json;
+    this.envWindLayers.innerHTML = '';
+    settings.windLayers.forEach(layer => this._addWindLayerRow(layer));
+    this.envGust.value = settings.gustKts;
+    this.envTurbulence.value = settings.turbulence;
+    this.envQnh.value = settings.qnhHpa;
+    this.envTemp.value = settings.temperatureC;
+  }
+
+  /**
+   * Appends one editable wind layer to the environment panel.
+   * @private
+   * @param {{altitudeFt: number, dirDeg: number, speedKts: number}} layer
+   */
+  _addWindLayerRow(layer) {
+    const row = document.createElement('div');
+    row.className = 'env-row';
+    row.innerHTML = `
+      <input type="number" data-field="altitudeFt" min="0" step="1000" value="${layer.altitudeFt}">
+      <input type="number" data-field="dirDeg" min="0" max="360" value="${Math.round(layer.dirDeg)}">
+      <input type="number" data-field="speedKts" min="0" value="${Math.round(layer.speedKts)}">
+      <button data-remove-layer>✕</button>`;
+    this.envWindLayers.appendChild(row);
+  }
+
+  /**
+   * Reads the environment panel. Rows and fields that are not valid numbers are left out,
+   * so those settings are kept as they are.
+   * @private
+   * @returns {Object} - Partial EnvironmentSettings (see environment.js).
+   */
+  _readEnvironmentForm() {
+    const number = (input, min, max) => {
+      const v = parseFloat(input.value);
+      return Number.isFinite(v) ? Math.max(min, Math.min(max, v)) : undefined;
+    };
+    const windLayers = [];
+    for (const row of this.envWindLayers.children) {
+      const field = (name) => row.querySelector(`[data-field="${name}"]`);
+      const layer = { altitudeFt: number(field('altitudeFt'), 0, 100000), dirDeg: number(field('dirDeg'), 0, 360), speedKts: number(field('speedKts'), 0, 500) };
+      if (Object.values(layer).every(v => v !== undefined)) windLayers.push(layer);
+    }
+    return {
+      windLayers,
+      gustKts: number(this.envGust, 0, 100),
+      turbulence: this.envTurbulence.value,
+      qnhHpa: number(this.envQnh, 900, 1100),
+      temperatureC: number(this.envTemp, -60, 60),
+    };
+  }
+
+  /**
+   * Sounds one short alert beep.
+   * @private
+   */
+  _playTone() {
+    const ctx = this.audioCtx;
+    if (!ctx) return;
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.frequency.value = 880;
+    gain.gain.value = 0.1;
+    osc.connect(gain).connect(ctx.destination);
+    osc.start();
+    osc.stop(ctx.currentTime + 0.25);
+  }
+
+  /**
+   * Appends new session log entries to the log panel, newest at the bottom.
+   */
+  updateLog() {
+    const log = this.simulation.log;
+    if (!this.renderedLog || this.renderedLog.log !== log) {
+      // A new run replaced the log
+      this.logPanel.innerHTML = '';
+      this.renderedLog = { log, length: 0 };
+    }
+    if (this.renderedLog.length === log.length) return;
+    for (const entry of log.slice(this.renderedLog.length)) {
+      const row = document.createElement('div');
+      row.className = `log-${entry.type}`;
+      row.innerHTML = `<span class="log-time">${formatSimTime(entry.time)}</span>`;
+      row.appendChild(document.createTextNode(entry.message));
+      this.logPanel.appendChild(row);
+    }
+    this.renderedLog.length = log.length;
+    this.logPanel.scrollTop = this.logPanel.scrollHeight;
+  }
+
+  /**
+   * Renders a dynamic vertical graph of the tracked altitudes on the left of the radar.
+   * Only tracks with a callsign and a Mode C altitude can be placed on it.
+   * @param {Array<Object>} tracks - Tracks from Tracker.getTracks.
    * @param {Aircraft} selected - The currently selected aircraft.
    */
-  updateVerticalAltitudeGraph(aircraftList, selected) {
+  updateVerticalAltitudeGraph(tracks, selected) {
+    const aircraftList = tracks.filter(t => t.callsign && t.altitudeFt !== null);
     const ctx = this.altitudeCtx;
     const canvas = this.altitudeCanvas;
     const { width, height } = canvas;
@@ -138,11 +472,11 @@ export class UI {
 
     this._drawAltitudeGraphAxis(ctx, width, height, { top: 20, bottom: 20 }, scaleMax, leftColumnWidth, axisColumnWidth);
 
+    this.altitudeGraphClickableRegions = []; // Clear old regions
     if (aircraftList.length === 0) {
       return;
     }
 
-    this.altitudeGraphClickableRegions = []; // Clear old regions
     this._drawAltitudeGraphAircraft(ctx, width, height, { top: 20, bottom: 20 }, scaleMax, aircraftList, selected, leftColumnWidth, axisColumnWidth);
   }
 
@@ -176,7 +510,7 @@ export class UI {
 
     const createLabelData = (ac, side) => {
       const trueY = (height - padding.bottom) - (ac.altitudeFt / scaleMax) * (height - padding.top - padding.bottom);
-      const isSelected = selected && selected.id === ac.id;
+      const isSelected = selected && selected.id === ac.aircraftId;
 
       const labelConfig = {
         height: 22,
@@ -263,7 +597,7 @@ export class UI {
 
     // 2. Prepare text content
     let vsIndicator = '';
-    // Use the aircraft's actual vertical speed property, not a re-calculated one.
+    // Climb or descent as the tracker measured it from Mode C
     if (Math.abs(aircraft.vsFpm) > 50) { // Use a reasonable threshold in ft/min
         vsIndicator = aircraft.vsFpm > 0 ? '▲' : '▼';
     }
@@ -311,11 +645,55 @@ export class UI {
   /** Sets up all event listeners for the UI. */
   _setupEventListeners() {
     // Main controls
-    this.addAircraftBtn.addEventListener('click', () => this.simulation.addAircraft(false));
-    this.addVGHSAircraftBtn.addEventListener('click', () => this.simulation.addAircraft(true));
+    this.addAircraftBtn.addEventListener('click', () => this.simulation.addAircraft(this.spawnTypeSelect.value || 'generic'));
+    this.addVGHSAircraftBtn.addEventListener('click', () => this.simulation.addAircraft('hypersonic'));
     this.removeAircraftBtn.addEventListener('click', () => this.simulation.removeSelectedOrLast());
+    this.toggleAutoResolve.addEventListener('change', () => this.simulation.setAutoResolve(this.toggleAutoResolve.checked));
     this.radarRangeInput.addEventListener('change', (e) => this.radar.setRange(parseFloat(e.target.value)));
 
+    // STCA: acknowledge from the alert list, tone on/off
+    this.stcaPanel.addEventListener('click', (e) => {
+      const key = e.target.dataset && e.target.dataset.ackKey;
+      if (key) this.simulation.acknowledgeAlert(key);
+    });
+    this.toggleStcaTone.addEventListener('change', () => {
+      if (this.toggleStcaTone.checked && !this.audioCtx && window.AudioContext) this.audioCtx = new AudioContext();
+    });
+
+    // Environment panel: edit the wind layers, then apply everything at once
+    this.envAddLayerBtn.addEventListener('click', () => {
+      const tops = [...this.envWindLayers.querySelectorAll('[data-field="altitudeFt"]')].map(input => parseFloat(input.value) || 0);
+      this._addWindLayerRow({ altitudeFt: tops.length ? Math.max(...tops) + NEW_WIND_LAYER_STEP_FT : 0, dirDeg: 0, speedKts: 0 });
+    });
+    this.envWindLayers.addEventListener('click', (e) => {
+      if (e.target.dataset && 'removeLayer' in e.target.dataset) e.target.closest('.env-row').remove();
+    });
+    this.envApplyBtn.addEventListener('click', () => {
+      this.simulation.setEnvironment(this._readEnvironmentForm());
+      this.renderedEnv = null; // Show the settings as applied, layers sorted
+      this.envApplyBtn.blur();
+    });
+
+    // Session: time control
+    this.pauseBtn.addEventListener('click', () => this.simulation.togglePause());
+    this.stepBtn.addEventListener('click', () => this.simulation.stepOnce());
+    this.endExerciseBtn.addEventListener('click', () => this.simulation.endExercise());
+    this.timeScaleBtns.forEach(btn => btn.addEventListener('click', () => this.simulation.setTimeScale(Number(btn.dataset.scale))));
+
+    // Session: runway in use
+    this.runwaySelect.addEventListener('change', () => this.simulation.setRunwayInUse(this.runwaySelect.value));
+
+    // Session: scenario picker
+    this.scenarioLoadBtn.addEventListener('click', () => this._loadSelectedScenario());
+
+    // Session: restart from the entered seed, or replay the current one
+    this.seedRestartBtn.addEventListener('click', () => {
+      const seed = parseInt(this.seedInput.value, 10);
+      this.simulation.reset(isNaN(seed) ? this.simulation.seed : seed);
+      this.seedInput.value = '';
+    });
+    this.seedInput.addEventListener('keyup', (e) => { if (e.key === 'Enter') this.seedRestartBtn.click(); });
+
     // Command line
     const cmdInput = document.getElementById('cmdInput');
     const cmdSend = document.getElementById('cmdSend');